@@ -85,7 +85,5 @@ declare namespace chrome {
 		interface StorageChanges {
 			[key: string]: StorageChange;
 		}
-
-		function onChanged(callback: (changes: StorageChanges, areaName: string) => void): void;
 	}
 }
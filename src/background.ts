@@ -0,0 +1,44 @@
+// Extension service worker, built separately from the SvelteKit app (see vite.background.config.ts)
+import { runMigrations } from './lib/migrations';
+import { RETENTION_ALARM, RETENTION_PERIOD_MINUTES, runRetention } from './lib/retention';
+
+/**
+ * Create the retention alarm unless it already exists; alarms survive restarts
+ * but not every update
+ */
+async function scheduleRetention(): Promise<void> {
+	if (await chrome.alarms.get(RETENTION_ALARM)) return;
+	await chrome.alarms.create(RETENTION_ALARM, {
+		delayInMinutes: 1,
+		periodInMinutes: RETENTION_PERIOD_MINUTES
+	});
+}
+
+chrome.runtime.onInstalled.addListener(async (details) => {
+	if (details.reason !== 'install' && details.reason !== 'update') return;
+
+	const result = await runMigrations(chrome.storage.local, {
+		fresh: details.reason === 'install',
+		extensionVersion: chrome.runtime.getManifest().version
+	});
+
+	const failed = result.applied.filter((entry) => !entry.ok);
+	if (failed.length > 0) {
+		console.error('Storage migrations stopped at schema version', result.to, failed);
+	} else if (result.applied.length > 0) {
+		console.info(`Storage migrated from schema ${result.from} to ${result.to}`);
+	}
+
+	await scheduleRetention();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+	void scheduleRetention();
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+	if (alarm.name !== RETENTION_ALARM) return;
+
+	const entry = await runRetention('schedule');
+	if (entry.error) console.error('Retention purge failed:', entry.error);
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+	DEFAULT_ACCOUNTING_SETTINGS,
+	recordReference,
+	toIIF,
+	toOFX,
+	validateAccountingSettings
+} from './accountingExport';
+import { DEFAULT_DATE_SETTINGS } from './dates';
+import type { Transaction } from './transactionScraper';
+
+const rows: Transaction[] = [
+	{
+		customer: 'Jane Doe',
+		date: '05/01/2024',
+		isoDate: '2024-05-01T15:30:00.000Z',
+		amount: '$12.50',
+		transactionId: 'A1',
+		extra: { method: 'Cash' }
+	},
+	{
+		customer: 'N/A',
+		date: '05/02/2024',
+		isoDate: '2024-05-02T10:00:00.000Z',
+		amount: '-$2.00',
+		transactionId: 'N/A'
+	},
+	{ customer: 'No Date', date: 'soon', isoDate: null, amount: '$1.00', transactionId: 'C3' }
+];
+
+const settings = validateAccountingSettings({
+	...DEFAULT_ACCOUNTING_SETTINGS,
+	mappings: [{ field: 'method', value: 'cash', account: 'Cash Drawer' }]
+});
+const options = { dateSettings: { ...DEFAULT_DATE_SETTINGS, timeZone: 'UTC' } };
+
+describe('accounting exports', () => {
+	it('writes IIF sales receipts referenced by transaction ID', () => {
+		const { content, exported, skipped } = toIIF(rows, settings, options);
+		const lines = content.trimEnd().split('\r\n');
+
+		expect(exported).toBe(2);
+		expect(skipped).toBe(1);
+		expect(lines[3]).toBe(
+			'TRNS\t\tCASH SALE\t05/01/2024\tCash Drawer\tJane Doe\t12.50\tA1\tPayTracker'
+		);
+		expect(lines[4]).toBe(
+			'SPL\t\tCASH SALE\t05/01/2024\tSales\tJane Doe\t-12.50\tA1\tPayTracker\tSales'
+		);
+		expect(lines[6]).toMatch(
+			/^TRNS\t\tCASH REFUND\t05\/02\/2024\tUndeposited Funds\tPayTracker Customer\t-2.00\tPT[0-9A-F]{8}\t/
+		);
+	});
+
+	it('writes an OFX statement with stable FITIDs', () => {
+		const now = new Date('2024-05-03T00:00:00Z');
+		const { content, exported } = toOFX(rows, settings, { ...options, now });
+
+		expect(exported).toBe(2);
+		expect(content).toContain('<FITID>A1\r\n');
+		expect(content).toContain(`<FITID>${recordReference(rows[1])}\r\n`);
+		expect(content).toContain('<DTPOSTED>20240501153000[0:GMT]');
+		expect(content).toContain('<BALAMT>10.50');
+		expect(content).not.toContain('INTU.BID');
+		expect(recordReference(rows[1])).toBe(recordReference({ ...rows[1] }));
+
+		const qfx = toOFX(rows, { ...settings, intuitBankId: '3000' }, { ...options, now });
+		expect(qfx.content).toContain('<INTU.BID>3000');
+	});
+
+	it('declares UTF-8 so accented payees import unchanged', () => {
+		const { content } = toOFX([{ ...rows[0], customer: 'José Müller' }], settings, options);
+		expect(content).toContain('ENCODING:UTF-8\r\nCHARSET:NONE\r\n');
+		expect(content).toContain('<NAME>José Müller\r\n');
+	});
+
+	it('rejects incomplete settings', () => {
+		expect(() => validateAccountingSettings({ ...settings, depositAccount: ' ' })).toThrow(
+			"Deposit account can't be empty"
+		);
+		expect(() => validateAccountingSettings({ ...settings, intuitBankId: 'abc' })).toThrow(
+			'must be a number'
+		);
+		expect(() =>
+			validateAccountingSettings({ ...settings, mappings: [{ field: 'method', value: 'x' }] })
+		).toThrow("Account of mapping 1 can't be empty");
+	});
+});
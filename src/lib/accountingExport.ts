@@ -0,0 +1,308 @@
+// Exports for accounting software: QuickBooks IIF sales receipts and OFX/QFX bank statements.
+// Each record reuses the transaction ID as its reference (DOCNUM/FITID) so importing the same
+// rows again is recognized as a duplicate.
+import { DEFAULT_DATE_SETTINGS, formatTransactionDate, type DateSettings } from './dates';
+import { currencyDecimals, parseMoney, signedMinorUnits, toDecimal, type Money } from './money';
+import { transactionKey, type Transaction } from './transactionScraper';
+
+export type OfxAccountType = 'CHECKING' | 'SAVINGS' | 'MONEYMRKT' | 'CREDITLINE';
+
+export const OFX_ACCOUNT_TYPES: OfxAccountType[] = [
+	'CHECKING',
+	'SAVINGS',
+	'MONEYMRKT',
+	'CREDITLINE'
+];
+
+// Rows whose extra field `field` equals `value` (ignoring case) are deposited into `account`
+export interface AccountMapping {
+	field: string;
+	value: string;
+	account: string;
+}
+
+export interface AccountingSettings {
+	depositAccount: string; // IIF account receiving sales receipts
+	incomeAccount: string; // IIF income account for the receipt's item line
+	itemName: string; // IIF item on the receipt line
+	defaultCustomer: string; // Used for rows without a customer
+	mappings: AccountMapping[];
+	ofxBankId: string;
+	ofxAccountId: string;
+	ofxAccountType: OfxAccountType;
+	intuitBankId: string; // INTU.BID; when set, OFX files are written as QFX for Intuit products
+}
+
+export const DEFAULT_ACCOUNTING_SETTINGS: AccountingSettings = {
+	depositAccount: 'Undeposited Funds',
+	incomeAccount: 'Sales',
+	itemName: 'Sales',
+	defaultCustomer: 'PayTracker Customer',
+	mappings: [],
+	ofxBankId: '000000000',
+	ofxAccountId: 'PAYTRACKER',
+	ofxAccountType: 'CHECKING',
+	intuitBankId: ''
+};
+
+export interface AccountingExportOptions {
+	formatCustomer?: (name: string) => string;
+	dateSettings?: DateSettings;
+	now?: Date;
+}
+
+export interface AccountingExportResult {
+	content: string;
+	exported: number;
+	skipped: number; // Rows without a parsed amount or date, or in another currency (OFX)
+}
+
+function requireText(data: Record<string, unknown>, key: string, label: string): string {
+	const value = data[key];
+	if (typeof value !== 'string' || !value.trim()) throw new Error(`${label} can't be empty`);
+	return value.trim();
+}
+
+/**
+ * Validate accounting settings, throwing a readable error for anything unusable
+ */
+export function validateAccountingSettings(data: unknown): AccountingSettings {
+	if (!data || typeof data !== 'object') throw new Error('Accounting settings must be an object');
+	const settings = data as Record<string, unknown>;
+
+	if (!Array.isArray(settings.mappings)) throw new Error('Account mappings must be a list');
+	const mappings = settings.mappings.map((mapping, i) => {
+		const rule = (mapping ?? {}) as Record<string, unknown>;
+		return {
+			field: requireText(rule, 'field', `Field of mapping ${i + 1}`),
+			value: typeof rule.value === 'string' ? rule.value.trim() : '',
+			account: requireText(rule, 'account', `Account of mapping ${i + 1}`)
+		};
+	});
+
+	if (!OFX_ACCOUNT_TYPES.includes(settings.ofxAccountType as OfxAccountType)) {
+		throw new Error(`Unknown OFX account type "${settings.ofxAccountType}"`);
+	}
+	const intuitBankId =
+		typeof settings.intuitBankId === 'string' ? settings.intuitBankId.trim() : '';
+	if (intuitBankId && !/^\d+$/.test(intuitBankId)) {
+		throw new Error('Intuit bank ID must be a number');
+	}
+
+	return {
+		depositAccount: requireText(settings, 'depositAccount', 'Deposit account'),
+		incomeAccount: requireText(settings, 'incomeAccount', 'Income account'),
+		itemName: requireText(settings, 'itemName', 'Item name'),
+		defaultCustomer: requireText(settings, 'defaultCustomer', 'Default customer'),
+		mappings,
+		ofxBankId: requireText(settings, 'ofxBankId', 'Bank ID'),
+		ofxAccountId: requireText(settings, 'ofxAccountId', 'Account ID'),
+		ofxAccountType: settings.ofxAccountType as OfxAccountType,
+		intuitBankId
+	};
+}
+
+/**
+ * Stable reference for a row: its transaction ID, or a hash of its content when it has none
+ */
+export function recordReference(tx: Transaction): string {
+	if (tx.transactionId && tx.transactionId !== 'N/A') return tx.transactionId.trim();
+
+	// FNV-1a keeps the reference short and the same across exports
+	let hash = 0x811c9dc5;
+	for (const char of transactionKey(tx)) {
+		hash ^= char.charCodeAt(0);
+		hash = Math.imul(hash, 0x01000193) >>> 0;
+	}
+	return `PT${hash.toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+/**
+ * Account a row is deposited into: the first matching mapping, else the deposit account
+ */
+export function depositAccountFor(tx: Transaction, settings: AccountingSettings): string {
+	const mapping = settings.mappings.find(
+		(rule) => (tx.extra?.[rule.field] ?? '').trim().toLowerCase() === rule.value.toLowerCase()
+	);
+	return mapping?.account ?? settings.depositAccount;
+}
+
+function moneyOf(tx: Transaction): Money | null {
+	return tx.money === undefined ? parseMoney(tx.amount) : tx.money;
+}
+
+function customerName(
+	tx: Transaction,
+	settings: AccountingSettings,
+	options: AccountingExportOptions
+) {
+	const name = tx.customer && tx.customer !== 'N/A' ? tx.customer.trim() : '';
+	return name
+		? (options.formatCustomer ?? ((value: string) => value))(name)
+		: settings.defaultCustomer;
+}
+
+// IIF is tab-separated, one record per line
+function iifField(value: string): string {
+	return value.replace(/[\t\r\n]+/g, ' ').replace(/"/g, "'");
+}
+
+/**
+ * QuickBooks IIF file with one sales receipt (CASH SALE, or CASH REFUND for negative amounts)
+ * per transaction
+ */
+export function toIIF(
+	transactions: Transaction[],
+	settings: AccountingSettings,
+	options: AccountingExportOptions = {}
+): AccountingExportResult {
+	const dateSettings = options.dateSettings ?? DEFAULT_DATE_SETTINGS;
+	const lines = [
+		'!TRNS\tTRNSID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO',
+		'!SPL\tSPLID\tTRNSTYPE\tDATE\tACCNT\tNAME\tAMOUNT\tDOCNUM\tMEMO\tINVITEM',
+		'!ENDTRNS'
+	];
+	let exported = 0;
+
+	for (const tx of transactions) {
+		const money = moneyOf(tx);
+		if (!money || !tx.isoDate) continue;
+
+		const value = toDecimal(money);
+		const amount = value.toFixed(currencyDecimals(money.currency));
+		const negated = (-value).toFixed(currencyDecimals(money.currency));
+		const type = value < 0 ? 'CASH REFUND' : 'CASH SALE';
+		const date = formatTransactionDate(tx.isoDate, 'MM/DD/YYYY', dateSettings);
+		const name = iifField(customerName(tx, settings, options));
+		const reference = iifField(recordReference(tx));
+		const memo = iifField(tx.source?.title ? `PayTracker: ${tx.source.title}` : 'PayTracker');
+		const deposit = iifField(depositAccountFor(tx, settings));
+
+		lines.push(
+			['TRNS', '', type, date, deposit, name, amount, reference, memo].join('\t'),
+			[
+				'SPL',
+				'',
+				type,
+				date,
+				iifField(settings.incomeAccount),
+				name,
+				negated,
+				reference,
+				memo,
+				iifField(settings.itemName)
+			].join('\t'),
+			'ENDTRNS'
+		);
+		exported++;
+	}
+
+	return {
+		content: lines.join('\r\n') + '\r\n',
+		exported,
+		skipped: transactions.length - exported
+	};
+}
+
+// OFX 1.x is SGML: escape markup characters and keep values on one line
+function ofxText(value: string, maxLength?: number): string {
+	const text = value.replace(/\s+/g, ' ').trim().slice(0, maxLength);
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// YYYYMMDDHHMMSS in UTC
+function ofxDate(timestamp: number): string {
+	return `${new Date(timestamp).toISOString().replace(/[-:T]/g, '').slice(0, 14)}[0:GMT]`;
+}
+
+/**
+ * OFX 1.0.2 bank statement, or QFX when an Intuit bank ID is set. A statement has one
+ * currency: the first parsed row's, with rows in other currencies skipped.
+ */
+export function toOFX(
+	transactions: Transaction[],
+	settings: AccountingSettings,
+	options: AccountingExportOptions = {}
+): AccountingExportResult {
+	const now = (options.now ?? new Date()).getTime();
+	const currency = transactions.map(moneyOf).find((money) => money)?.currency ?? 'USD';
+	const entries: string[] = [];
+	const dates: number[] = [];
+	let balanceMinor = 0;
+
+	for (const tx of transactions) {
+		const money = moneyOf(tx);
+		const posted = tx.isoDate ? Date.parse(tx.isoDate) : NaN;
+		if (!money || money.currency !== currency || isNaN(posted)) continue;
+
+		const value = toDecimal(money);
+		balanceMinor += signedMinorUnits(money);
+		dates.push(posted);
+		const memo = [depositAccountFor(tx, settings), tx.source?.title].filter(Boolean).join(' - ');
+		entries.push(
+			'<STMTTRN>',
+			`<TRNTYPE>${value < 0 ? 'DEBIT' : 'CREDIT'}`,
+			`<DTPOSTED>${ofxDate(posted)}`,
+			`<TRNAMT>${value.toFixed(currencyDecimals(currency))}`,
+			`<FITID>${ofxText(recordReference(tx), 255)}`,
+			`<NAME>${ofxText(customerName(tx, settings, options), 32)}`,
+			`<MEMO>${ofxText(memo, 255)}`,
+			'</STMTTRN>'
+		);
+	}
+
+	const start = dates.length ? Math.min(...dates) : now;
+	const end = dates.length ? Math.max(...dates) : now;
+	const status = ['<STATUS>', '<CODE>0', '<SEVERITY>INFO', '</STATUS>'];
+	const lines = [
+		'OFXHEADER:100',
+		'DATA:OFXSGML',
+		'VERSION:102',
+		'SECURITY:NONE',
+		'ENCODING:UTF-8', // Matches the downloaded file, so accented payees survive the import
+		'CHARSET:NONE',
+		'COMPRESSION:NONE',
+		'OLDFILEUID:NONE',
+		'NEWFILEUID:NONE',
+		'',
+		'<OFX>',
+		'<SIGNONMSGSRSV1>',
+		'<SONRS>',
+		...status,
+		`<DTSERVER>${ofxDate(now)}`,
+		'<LANGUAGE>ENG',
+		...(settings.intuitBankId ? [`<INTU.BID>${settings.intuitBankId}`] : []),
+		'</SONRS>',
+		'</SIGNONMSGSRSV1>',
+		'<BANKMSGSRSV1>',
+		'<STMTTRNRS>',
+		`<TRNUID>${now}`,
+		...status,
+		'<STMTRS>',
+		`<CURDEF>${currency}`,
+		'<BANKACCTFROM>',
+		`<BANKID>${ofxText(settings.ofxBankId, 9)}`,
+		`<ACCTID>${ofxText(settings.ofxAccountId, 22)}`,
+		`<ACCTTYPE>${settings.ofxAccountType}`,
+		'</BANKACCTFROM>',
+		'<BANKTRANLIST>',
+		`<DTSTART>${ofxDate(start)}`,
+		`<DTEND>${ofxDate(end)}`,
+		...entries,
+		'</BANKTRANLIST>',
+		'<LEDGERBAL>',
+		`<BALAMT>${(balanceMinor / 10 ** currencyDecimals(currency)).toFixed(currencyDecimals(currency))}`,
+		`<DTASOF>${ofxDate(end)}`,
+		'</LEDGERBAL>',
+		'</STMTRS>',
+		'</STMTTRNRS>',
+		'</BANKMSGSRSV1>',
+		'</OFX>'
+	];
+
+	return {
+		content: lines.join('\r\n') + '\r\n',
+		exported: dates.length,
+		skipped: transactions.length - dates.length
+	};
+}
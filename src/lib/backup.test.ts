@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BACKUP_FORMAT, BACKUP_VERSION, backupFileName, createBackup, parseBackup } from './backup';
+import { transactionLedger } from './ledger';
+import {
+	DEFAULT_PROFILE_ID,
+	DEFAULT_SELECTOR_PROFILE,
+	selectorProfileStore
+} from './selectorProfiles';
+import { DEFAULT_SETTINGS, settingsStore } from './settings';
+import { transactionCache } from './storage';
+import { vault, VaultLockedError } from './vault';
+import { replaceLocalStorage } from '../test-storage';
+
+const tx = { customer: 'Jane Doe', date: '05/01/2024', amount: '$10.00', transactionId: 'A' };
+
+const archive = {
+	format: BACKUP_FORMAT,
+	version: BACKUP_VERSION,
+	createdAt: '2024-05-01T12:00:00.000Z',
+	settings: { theme: 'dark', compactMode: false },
+	selectorProfiles: {
+		profiles: [{ ...DEFAULT_SELECTOR_PROFILE, id: 'custom', name: 'Custom', builtIn: undefined }],
+		activeId: 'custom'
+	},
+	cache: [{ url: 'https://example.com/transactions', transactions: [tx] }],
+	ledger: [
+		{ ...tx, key: 'A', customerKey: 'jane doe', amountMinor: 1000, firstSeen: 1, lastSeen: 2 }
+	]
+};
+
+describe('parseBackup', () => {
+	it('accepts a valid archive', () => {
+		const parsed = parseBackup(JSON.stringify(archive));
+		expect(parsed.settings).toEqual({ theme: 'dark', compactMode: false });
+		expect(parsed.selectorProfiles.profiles[0].id).toBe('custom');
+		expect(parsed.cache[0].transactions).toEqual([tx]);
+		expect(parsed.ledger).toHaveLength(1);
+	});
+
+	it('fills in missing sections', () => {
+		const parsed = parseBackup(JSON.stringify({ format: BACKUP_FORMAT, version: 1 }));
+		expect(parsed.selectorProfiles).toEqual({ profiles: [], activeId: DEFAULT_PROFILE_ID });
+		expect(parsed.cache).toEqual([]);
+		expect(parsed.ledger).toEqual([]);
+	});
+
+	it('rejects files that are not usable backups', () => {
+		expect(() => parseBackup('{')).toThrow('not valid JSON');
+		expect(() => parseBackup('{"format":"other"}')).toThrow('not a PayTracker backup');
+		expect(() => parseBackup(JSON.stringify({ ...archive, version: 99 }))).toThrow('newer');
+		expect(() => parseBackup(JSON.stringify({ ...archive, settings: { theme: 'blue' } }))).toThrow(
+			'Unknown theme'
+		);
+		expect(() => parseBackup(JSON.stringify({ ...archive, ledger: [{ key: 'A' }] }))).toThrow(
+			'history contains invalid transactions'
+		);
+
+		const entry = archive.ledger[0];
+		const withLedger = (ledger: unknown[]) => JSON.stringify({ ...archive, ledger });
+		expect(() => parseBackup(withLedger([entry, { ...entry, customerKey: 7 }]))).toThrow(
+			'entry 2 has no customerKey'
+		);
+		expect(() => parseBackup(withLedger([{ ...entry, amountMinor: '10.00' }]))).toThrow(
+			'entry 1 has an amountMinor'
+		);
+		expect(parseBackup(withLedger([{ ...entry, amountMinor: null }])).ledger).toHaveLength(1);
+	});
+
+	it('names files after the date', () => {
+		expect(backupFileName(new Date('2024-05-01T12:00:00Z'))).toBe(
+			'paytracker-backup-2024-05-01.json'
+		);
+	});
+});
+
+describe('createBackup', () => {
+	const url = 'https://example.com/transactions';
+	let restoreStorage: () => void;
+
+	beforeEach(() => {
+		restoreStorage = replaceLocalStorage().restore;
+		vi.useFakeTimers({ now: new Date('2024-05-01T12:00:00Z'), toFake: ['Date'] });
+		vi.spyOn(settingsStore, 'load').mockResolvedValue(DEFAULT_SETTINGS);
+		vi.spyOn(selectorProfileStore, 'getBackup').mockResolvedValue({
+			profiles: [],
+			activeId: DEFAULT_PROFILE_ID
+		});
+		vi.spyOn(transactionLedger, 'getAll').mockResolvedValue([]);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+		restoreStorage();
+	});
+
+	it('includes cached pages older than the cache TTL', async () => {
+		await transactionCache.set([tx], url);
+		vi.setSystemTime(new Date('2024-05-01T13:00:00Z'));
+
+		expect((await createBackup()).cache).toEqual([{ url, transactions: [tx] }]);
+		// Backing up leaves the entry in place
+		expect(await transactionCache.getAllEntries()).toHaveLength(1);
+	});
+
+	it('fails instead of leaving out the cache while encryption is locked', async () => {
+		await transactionCache.set([tx], url);
+		vi.spyOn(vault, 'reveal').mockRejectedValue(new VaultLockedError());
+
+		await expect(createBackup()).rejects.toBeInstanceOf(VaultLockedError);
+	});
+});
@@ -0,0 +1,255 @@
+// Export and import of everything the extension stores, as one versioned JSON archive.
+// The extension keeps no annotations (notes or tags on transactions), so archives have no
+// section for them; adding one later means bumping BACKUP_VERSION.
+import { transactionLedger, type LedgerEntry } from './ledger';
+import {
+	selectorProfileStore,
+	validateSelectorProfile,
+	DEFAULT_PROFILE_ID,
+	type SelectorProfile
+} from './selectorProfiles';
+import { DEFAULT_SETTINGS, settingsStore, validateSetting, type Settings } from './settings';
+import { transactionCache } from './storage';
+import type { Transaction } from './transactionScraper';
+
+export const BACKUP_FORMAT = 'paytracker-backup';
+export const BACKUP_VERSION = 1;
+
+export interface CachedPage {
+	url: string;
+	transactions: Transaction[];
+}
+
+export interface BackupArchive {
+	format: typeof BACKUP_FORMAT;
+	version: number;
+	createdAt: string; // ISO timestamp
+	extensionVersion?: string;
+	settings: Partial<Settings>;
+	selectorProfiles: {
+		profiles: SelectorProfile[];
+		activeId: string;
+	};
+	cache: CachedPage[]; // Latest cached rows of each page
+	ledger: LedgerEntry[]; // Transaction history
+}
+
+export type RestoreMode = 'merge' | 'replace';
+
+// What a restore would do, shown before anything is written
+export interface RestorePreview {
+	settingsChanged: string[];
+	profiles: { added: number; updated: number; removed: number };
+	cachedPages: number;
+	ledger: { added: number; updated: number; removed: number };
+}
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS) as (keyof Settings)[];
+
+function extensionVersion(): string | undefined {
+	try {
+		return chrome.runtime.getManifest().version;
+	} catch {
+		return undefined;
+	}
+}
+
+/**
+ * Collect everything into an archive. Throws VaultLockedError while encrypted storage is locked.
+ */
+export async function createBackup(): Promise<BackupArchive> {
+	const settings = await settingsStore.load();
+	const selectorProfiles = await selectorProfileStore.getBackup();
+
+	// Latest entry of each page, however old; the TTL only decides what the popup reuses
+	const cache: CachedPage[] = [];
+	for (const entry of await transactionCache.getAllEntries<Transaction[]>()) {
+		const url = entry.url || 'default';
+		if (entry.data.length > 0 && !cache.some((page) => page.url === url)) {
+			cache.push({ url, transactions: entry.data });
+		}
+	}
+
+	return {
+		format: BACKUP_FORMAT,
+		version: BACKUP_VERSION,
+		createdAt: new Date().toISOString(),
+		extensionVersion: extensionVersion(),
+		settings,
+		selectorProfiles,
+		cache,
+		ledger: await transactionLedger.getAll()
+	};
+}
+
+function isTransaction(value: unknown): value is Transaction {
+	const tx = value as Transaction;
+	return (
+		typeof value === 'object' &&
+		value !== null &&
+		typeof tx.customer === 'string' &&
+		typeof tx.date === 'string' &&
+		typeof tx.amount === 'string' &&
+		typeof tx.transactionId === 'string'
+	);
+}
+
+// What's wrong with a history entry, or null when it can be restored. The ledger's indexes
+// rely on customerKey and amountMinor, e.g. customer search calls customerKey.startsWith.
+function ledgerEntryProblem(value: unknown): string | null {
+	const entry = value as LedgerEntry;
+	if (!isTransaction(value)) return 'is not a transaction';
+	if (typeof entry.key !== 'string') return 'has no key';
+	if (typeof entry.customerKey !== 'string') return 'has no customerKey';
+	if (entry.amountMinor !== null && !Number.isInteger(entry.amountMinor)) {
+		return 'has an amountMinor that is neither a whole number nor null';
+	}
+	if (typeof entry.firstSeen !== 'number' || typeof entry.lastSeen !== 'number') {
+		return 'has no firstSeen/lastSeen time';
+	}
+	return null;
+}
+
+/**
+ * Parse and validate an archive, throwing a readable error for anything that isn't one
+ */
+export function parseBackup(json: string): BackupArchive {
+	let data: Partial<BackupArchive>;
+	try {
+		data = JSON.parse(json);
+	} catch {
+		throw new Error('Backup file is not valid JSON');
+	}
+
+	if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+		throw new Error('This file is not a PayTracker backup');
+	}
+	if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+		throw new Error(`Backup version ${data.version} is newer than this extension supports`);
+	}
+
+	const settings: Partial<Record<keyof Settings, unknown>> = {};
+	for (const key of SETTING_KEYS) {
+		const value = data.settings?.[key];
+		if (value !== undefined) settings[key] = validateSetting(key, value);
+	}
+
+	const profiles = data.selectorProfiles?.profiles ?? [];
+	if (!Array.isArray(profiles)) throw new Error('Backup selector profiles must be a list');
+
+	const cache = data.cache ?? [];
+	if (
+		!Array.isArray(cache) ||
+		!cache.every(
+			(page) =>
+				typeof page?.url === 'string' &&
+				Array.isArray(page.transactions) &&
+				page.transactions.every(isTransaction)
+		)
+	) {
+		throw new Error('Backup cache contains invalid transactions');
+	}
+
+	const ledger = data.ledger ?? [];
+	if (!Array.isArray(ledger)) throw new Error('Backup history contains invalid transactions');
+	ledger.forEach((entry, i) => {
+		const problem = ledgerEntryProblem(entry);
+		if (problem) {
+			throw new Error(`Backup history contains invalid transactions: entry ${i + 1} ${problem}`);
+		}
+	});
+
+	return {
+		format: BACKUP_FORMAT,
+		version: data.version,
+		createdAt: typeof data.createdAt === 'string' ? data.createdAt : '',
+		extensionVersion: data.extensionVersion,
+		settings: settings as Partial<Settings>,
+		selectorProfiles: {
+			profiles: profiles.map(validateSelectorProfile),
+			activeId:
+				typeof data.selectorProfiles?.activeId === 'string'
+					? data.selectorProfiles.activeId
+					: DEFAULT_PROFILE_ID
+		},
+		cache,
+		ledger
+	};
+}
+
+/**
+ * Compare an archive with what's stored now
+ */
+export async function previewRestore(
+	archive: BackupArchive,
+	mode: RestoreMode
+): Promise<RestorePreview> {
+	const current = await settingsStore.load();
+	const settingsChanged = SETTING_KEYS.filter((key) => {
+		const next = archive.settings[key] ?? (mode === 'replace' ? DEFAULT_SETTINGS[key] : undefined);
+		return next !== undefined && JSON.stringify(next) !== JSON.stringify(current[key]);
+	});
+
+	const { profiles } = await selectorProfileStore.getBackup();
+	const knownProfiles = new Map(profiles.map((profile) => [profile.id, profile]));
+	const incomingProfiles = new Set(archive.selectorProfiles.profiles.map((profile) => profile.id));
+
+	const ledgerKeys = new Set((await transactionLedger.getAll()).map((entry) => entry.key));
+	const incomingKeys = new Set(archive.ledger.map((entry) => entry.key));
+
+	return {
+		settingsChanged,
+		profiles: {
+			added: archive.selectorProfiles.profiles.filter((profile) => !knownProfiles.has(profile.id))
+				.length,
+			updated: archive.selectorProfiles.profiles.filter((profile) => {
+				const existing = knownProfiles.get(profile.id);
+				return existing && (mode === 'replace' || existing.version <= profile.version);
+			}).length,
+			removed:
+				mode === 'replace'
+					? profiles.filter((profile) => !incomingProfiles.has(profile.id)).length
+					: 0
+		},
+		cachedPages: archive.cache.length,
+		ledger: {
+			added: [...incomingKeys].filter((key) => !ledgerKeys.has(key)).length,
+			updated: [...incomingKeys].filter((key) => ledgerKeys.has(key)).length,
+			removed:
+				mode === 'replace' ? [...ledgerKeys].filter((key) => !incomingKeys.has(key)).length : 0
+		}
+	};
+}
+
+/**
+ * Write an archive back. 'merge' adds to what's stored; 'replace' makes storage match the
+ * archive. Throws VaultLockedError while encrypted storage is locked.
+ */
+export async function restoreBackup(archive: BackupArchive, mode: RestoreMode): Promise<void> {
+	const replace = mode === 'replace';
+
+	for (const key of SETTING_KEYS) {
+		const value = archive.settings[key] ?? (replace ? DEFAULT_SETTINGS[key] : undefined);
+		if (value !== undefined) await settingsStore.set(key, value);
+	}
+
+	await selectorProfileStore.restore(
+		archive.selectorProfiles.profiles,
+		archive.selectorProfiles.activeId,
+		replace
+	);
+
+	if (replace) await transactionCache.clear();
+	for (const page of archive.cache) {
+		await transactionCache.set(page.transactions, page.url);
+	}
+
+	await transactionLedger.restore(archive.ledger, replace);
+}
+
+/**
+ * File name for a backup taken now
+ */
+export function backupFileName(date = new Date()): string {
+	return `paytracker-backup-${date.toISOString().slice(0, 10)}.json`;
+}
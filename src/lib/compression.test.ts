@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { decode, encode, ENVELOPE_VERSION, isEnvelope } from './compression';
+
+// Shaped like real extractions, including the values the old RLE scheme mangled
+const transactions = Array.from({ length: 200 }, (_, i) => ({
+	customer: i % 3 === 0 ? 'Zoë Ångström' : `Customer ${i}`,
+	date: `01/${String((i % 28) + 1).padStart(2, '0')}/2024 3:14 PM`,
+	amount: i % 5 === 0 ? '$5.55' : `$${(i * 10.01).toFixed(2)}`,
+	transactionId: i % 7 === 0 ? '1001' : `TXN-${1000000 + i}`,
+	money: { minorUnits: 555, currency: 'USD', sign: 1 },
+	isoDate: '2024-01-05T20:14:00.000Z',
+	extra: { status: 'Paid', note: '1111 aaaa 0000 "quoted" \\ back\\slash 🍕' }
+}));
+
+const payloads: Record<string, string> = {
+	empty: '',
+	'short run-like values': JSON.stringify({ id: '1001', amount: '$5.55', pin: '0000' }),
+	'realistic cache entry': JSON.stringify({
+		data: transactions,
+		timestamp: Date.now(),
+		url: 'https://app.paytracker.com/transactions?page=2'
+	})
+};
+
+describe('compression envelope', () => {
+	for (const [name, text] of Object.entries(payloads)) {
+		it(`round-trips ${name} with gzip`, async () => {
+			const envelope = await encode(text);
+			expect(envelope.v).toBe(ENVELOPE_VERSION);
+			expect(await decode(envelope)).toBe(text);
+		});
+
+		it(`round-trips ${name} without compression`, async () => {
+			const envelope = await encode(text, false);
+			expect(envelope.codec).toBe('identity');
+			expect(await decode(envelope)).toBe(text);
+		});
+	}
+
+	it('stores compressed data as base64 and actually shrinks it', async () => {
+		const text = payloads['realistic cache entry'];
+		const envelope = await encode(text);
+		expect(envelope.codec).toBe('gzip');
+		expect(envelope.data).toMatch(/^[A-Za-z0-9+/]*={0,2}$/);
+		expect(envelope.data.length).toBeLessThan(text.length / 4);
+	});
+
+	it('recognizes envelopes and rejects legacy string entries', () => {
+		expect(isEnvelope({ v: 2, codec: 'gzip', data: '' })).toBe(true);
+		expect(isEnvelope('{"data":[],"timestamp":1}')).toBe(false);
+		expect(isEnvelope(null)).toBe(false);
+	});
+
+	it('refuses unknown versions and corrupt data', async () => {
+		await expect(decode({ v: 1, codec: 'identity', data: '{}' })).rejects.toThrow(/version/);
+		await expect(
+			decode({ v: ENVELOPE_VERSION, codec: 'gzip', data: 'bm90IGd6aXA=' })
+		).rejects.toThrow();
+	});
+});
@@ -0,0 +1,111 @@
+// Lossless compression for cached JSON, stored as base64 inside a versioned envelope
+
+export type Codec = 'gzip' | 'identity';
+
+export interface Envelope {
+	v: number; // Envelope format version
+	codec: Codec;
+	data: string; // base64 for gzip, the plain text for identity
+}
+
+export const ENVELOPE_VERSION = 2;
+
+// btoa/String.fromCharCode choke on very large argument lists
+const BASE64_CHUNK = 0x8000;
+
+export function isCompressionSupported(): boolean {
+	return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+}
+
+export function isEnvelope(value: unknown): value is Envelope {
+	return (
+		typeof value === 'object' &&
+		value !== null &&
+		typeof (value as Envelope).v === 'number' &&
+		typeof (value as Envelope).codec === 'string' &&
+		typeof (value as Envelope).data === 'string'
+	);
+}
+
+export function toBase64(bytes: Uint8Array): string {
+	let binary = '';
+	for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+		binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+	}
+	return btoa(binary);
+}
+
+export function fromBase64(base64: string): Uint8Array {
+	const binary = atob(base64);
+	const bytes = new Uint8Array(binary.length);
+	for (let i = 0; i < binary.length; i++) {
+		bytes[i] = binary.charCodeAt(i);
+	}
+	return bytes;
+}
+
+/**
+ * Push bytes through a (de)compression stream and collect the output
+ */
+async function pipeThrough(
+	bytes: Uint8Array,
+	transform: CompressionStream | DecompressionStream
+): Promise<Uint8Array> {
+	const writer = transform.writable.getWriter();
+	writer.write(bytes).catch(() => {
+		// Surfaced by the reader below
+	});
+	writer.close().catch(() => {});
+
+	const chunks: Uint8Array[] = [];
+	const reader = transform.readable.getReader();
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		chunks.push(value);
+	}
+
+	const output = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+	let offset = 0;
+	for (const chunk of chunks) {
+		output.set(chunk, offset);
+		offset += chunk.length;
+	}
+	return output;
+}
+
+/**
+ * Wrap text in an envelope, gzip-compressed when the platform supports it
+ */
+export async function encode(text: string, compress = true): Promise<Envelope> {
+	if (!compress || !isCompressionSupported()) {
+		return { v: ENVELOPE_VERSION, codec: 'identity', data: text };
+	}
+
+	const bytes = await pipeThrough(new TextEncoder().encode(text), new CompressionStream('gzip'));
+	return { v: ENVELOPE_VERSION, codec: 'gzip', data: toBase64(bytes) };
+}
+
+/**
+ * Unwrap an envelope back into the original text. Throws on unknown versions,
+ * unknown codecs and corrupt data rather than returning something wrong.
+ */
+export async function decode(envelope: Envelope): Promise<string> {
+	if (envelope.v !== ENVELOPE_VERSION) {
+		throw new Error(`Unsupported envelope version: ${envelope.v}`);
+	}
+
+	switch (envelope.codec) {
+		case 'identity':
+			return envelope.data;
+		case 'gzip': {
+			if (!isCompressionSupported()) {
+				throw new Error('Decompression is not supported in this browser');
+			}
+			const bytes = await pipeThrough(fromBase64(envelope.data), new DecompressionStream('gzip'));
+			return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+		}
+		default:
+			throw new Error(`Unknown codec: ${envelope.codec}`);
+	}
+}
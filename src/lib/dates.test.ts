@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+	DEFAULT_DATE_SETTINGS,
+	formatTransactionDate,
+	parseTransactionDate,
+	type DateSettings
+} from './dates';
+
+const newYork: DateSettings = {
+	...DEFAULT_DATE_SETTINGS,
+	locale: 'en-US',
+	timeZone: 'America/New_York'
+};
+// 2024-03-15 14:00 in New York (EDT, UTC-4)
+const now = new Date('2024-03-15T18:00:00Z');
+
+describe('parseTransactionDate', () => {
+	it('parses relative dates with times in the configured time zone', () => {
+		expect(parseTransactionDate('Today, 3:14 PM', newYork, now)).toBe('2024-03-15T19:14:00.000Z');
+		expect(parseTransactionDate('Yesterday', newYork, now)).toBe('2024-03-14T04:00:00.000Z');
+		expect(parseTransactionDate('2 hours ago', newYork, now)).toBe('2024-03-15T16:00:00.000Z');
+	});
+
+	it('respects the configured day/month order for ambiguous dates', () => {
+		expect(parseTransactionDate('03/04/2024', newYork, now)).toBe('2024-03-04T05:00:00.000Z');
+		expect(parseTransactionDate('03/04/2024', { ...newYork, order: 'DMY' }, now)).toBe(
+			'2024-04-03T04:00:00.000Z'
+		);
+		// Unambiguous when the first part can't be a month
+		expect(parseTransactionDate('25/12/2023', newYork, now)).toBe('2023-12-25T05:00:00.000Z');
+	});
+
+	it('parses ISO and month-name dates', () => {
+		expect(parseTransactionDate('2024-01-05', newYork, now)).toBe('2024-01-05T05:00:00.000Z');
+		expect(parseTransactionDate('Jan 5, 2024 3:14 PM', newYork, now)).toBe(
+			'2024-01-05T20:14:00.000Z'
+		);
+		expect(parseTransactionDate('5 January 2024', newYork, now)).toBe('2024-01-05T05:00:00.000Z');
+		// No year: the most recent past occurrence
+		expect(parseTransactionDate('Dec 24', newYork, now)).toBe('2023-12-24T05:00:00.000Z');
+	});
+
+	it('returns null for values that are not dates', () => {
+		expect(parseTransactionDate('N/A', newYork, now)).toBeNull();
+		expect(parseTransactionDate('02/30/2024', newYork, now)).toBeNull();
+		expect(parseTransactionDate('pending', newYork, now)).toBeNull();
+	});
+});
+
+describe('formatTransactionDate', () => {
+	it('formats in the configured time zone', () => {
+		const iso = '2024-03-15T03:30:00.000Z'; // 11:30 PM on the 14th in New York
+		expect(formatTransactionDate(iso, 'MM/DD/YYYY', newYork)).toBe('03/14/2024');
+		expect(formatTransactionDate(iso, 'DD/MM/YYYY', newYork)).toBe('14/03/2024');
+		expect(formatTransactionDate(iso, 'MM/DD/YYYY h:mm A', newYork)).toBe('03/14/2024 11:30 PM');
+		expect(formatTransactionDate(iso, 'YYYY-MM-DD HH:mm', newYork)).toBe('2024-03-14 23:30');
+	});
+});
@@ -0,0 +1,356 @@
+export type DateOrder = 'MDY' | 'DMY' | 'YMD';
+
+export type DateFormat =
+	| 'MM/DD/YYYY'
+	| 'DD/MM/YYYY'
+	| 'YYYY-MM-DD'
+	| 'MM/DD/YYYY h:mm A'
+	| 'YYYY-MM-DD HH:mm'
+	| 'ISO'
+	| 'locale';
+
+export const DATE_FORMATS: DateFormat[] = [
+	'MM/DD/YYYY',
+	'DD/MM/YYYY',
+	'YYYY-MM-DD',
+	'MM/DD/YYYY h:mm A',
+	'YYYY-MM-DD HH:mm',
+	'ISO',
+	'locale'
+];
+
+export interface DateSettings {
+	locale: string; // Used for month names and the 'locale' output format
+	order: DateOrder; // How to read ambiguous numeric dates like 03/04/2024
+	timeZone: string; // IANA zone the PayTracker page shows times in
+	displayFormat: DateFormat;
+	exportFormat: DateFormat;
+}
+
+export const DEFAULT_DATE_SETTINGS: DateSettings = {
+	locale: typeof navigator !== 'undefined' ? navigator.language : 'en-US',
+	order: 'MDY',
+	timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+	displayFormat: 'MM/DD/YYYY',
+	exportFormat: 'MM/DD/YYYY'
+};
+
+const DATE_ORDERS: DateOrder[] = ['MDY', 'DMY', 'YMD'];
+
+/**
+ * Validate stored or edited date settings, filling missing fields from the defaults
+ */
+export function validateDateSettings(data: unknown): DateSettings {
+	if (!data || typeof data !== 'object') {
+		throw new Error('Date settings must be an object');
+	}
+
+	const settings = { ...DEFAULT_DATE_SETTINGS, ...(data as Partial<DateSettings>) };
+	if (!DATE_ORDERS.includes(settings.order)) {
+		throw new Error(`Unknown date order "${settings.order}"`);
+	}
+	for (const format of [settings.displayFormat, settings.exportFormat]) {
+		if (!DATE_FORMATS.includes(format)) throw new Error(`Unknown date format "${format}"`);
+	}
+	try {
+		new Intl.DateTimeFormat(settings.locale, { timeZone: settings.timeZone });
+	} catch {
+		throw new Error('Unknown locale or time zone');
+	}
+	return settings;
+}
+
+interface WallClock {
+	year: number;
+	month: number; // 1-12
+	day: number;
+	hour: number;
+	minute: number;
+	second: number;
+}
+
+/**
+ * Wall-clock time of an instant in the given time zone
+ */
+function wallClockIn(timestamp: number, timeZone: string): WallClock {
+	const parts = new Intl.DateTimeFormat('en-US', {
+		timeZone,
+		hourCycle: 'h23',
+		year: 'numeric',
+		month: '2-digit',
+		day: '2-digit',
+		hour: '2-digit',
+		minute: '2-digit',
+		second: '2-digit'
+	}).formatToParts(new Date(timestamp));
+
+	const get = (type: string) => parseInt(parts.find((part) => part.type === type)?.value || '0');
+	return {
+		year: get('year'),
+		month: get('month'),
+		day: get('day'),
+		hour: get('hour') % 24,
+		minute: get('minute'),
+		second: get('second')
+	};
+}
+
+/**
+ * Convert a wall-clock time in a time zone to a UTC timestamp, accounting for DST
+ */
+function zonedTimeToUtc(clock: WallClock, timeZone: string): number {
+	const asUtc = Date.UTC(
+		clock.year,
+		clock.month - 1,
+		clock.day,
+		clock.hour,
+		clock.minute,
+		clock.second
+	);
+	const offsetAt = (timestamp: number) => {
+		const wall = wallClockIn(timestamp, timeZone);
+		return (
+			Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second) - timestamp
+		);
+	};
+
+	const firstGuess = asUtc - offsetAt(asUtc);
+	const secondOffset = offsetAt(firstGuess);
+	return asUtc - secondOffset;
+}
+
+/**
+ * Month names (long and short) for a locale, plus English as a fallback
+ */
+function monthNames(locale: string): Map<string, number> {
+	const names = new Map<string, number>();
+	for (const loc of [locale, 'en-US']) {
+		for (const style of ['long', 'short'] as const) {
+			let formatter: Intl.DateTimeFormat;
+			try {
+				formatter = new Intl.DateTimeFormat(loc, { month: style, timeZone: 'UTC' });
+			} catch {
+				continue;
+			}
+			for (let month = 1; month <= 12; month++) {
+				const name = formatter
+					.format(Date.UTC(2024, month - 1, 15))
+					.toLowerCase()
+					.replace(/\.$/, '');
+				if (!names.has(name)) names.set(name, month);
+			}
+		}
+	}
+	// "Sept" is common but not what Intl produces
+	if (!names.has('sept')) names.set('sept', 9);
+	return names;
+}
+
+function expandYear(year: number): number {
+	return year < 100 ? 2000 + year : year;
+}
+
+/**
+ * Parse a date as shown on the page ("Today, 3:14 PM", "Jan 5, 2024 3:14 PM",
+ * "05/01/2024", "2 hours ago", ...) into an ISO-8601 UTC timestamp.
+ * Returns null when the string can't be understood.
+ */
+export function parseTransactionDate(
+	value: string,
+	settings: DateSettings = DEFAULT_DATE_SETTINGS,
+	now: Date = new Date()
+): string | null {
+	const text = value.trim().toLowerCase();
+	if (!text || text === 'n/a') return null;
+
+	// Already a full ISO timestamp with an offset
+	if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/.test(text)) {
+		const parsed = new Date(value.trim());
+		return isNaN(parsed.getTime()) ? null : parsed.toISOString();
+	}
+
+	// Durations relative to now
+	if (/^just now$|^now$/.test(text)) return now.toISOString();
+	const ago = text.match(/^(\d+)\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?|days?)\s+ago$/);
+	if (ago) {
+		const amount = parseInt(ago[1]);
+		const unit = ago[2];
+		const ms = unit.startsWith('s')
+			? 1000
+			: unit.startsWith('m')
+				? 60 * 1000
+				: unit.startsWith('h')
+					? 60 * 60 * 1000
+					: 24 * 60 * 60 * 1000;
+		return new Date(now.getTime() - amount * ms).toISOString();
+	}
+
+	// Pull out a time of day, if any
+	let rest = text.replace(/^(\d{4}-\d{2}-\d{2})t/, '$1 ');
+	let hour = 0;
+	let minute = 0;
+	let second = 0;
+	const time = rest.match(/(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([ap])?\.?\s*m?\.?(?![a-z])/);
+	if (time) {
+		hour = parseInt(time[1]);
+		minute = parseInt(time[2]);
+		second = time[3] ? parseInt(time[3]) : 0;
+		if (time[4] === 'p' && hour < 12) hour += 12;
+		if (time[4] === 'a' && hour === 12) hour = 0;
+		if (hour > 23 || minute > 59 || second > 59) return null;
+		rest = rest.replace(time[0], ' ');
+	}
+	rest = rest
+		.replace(/\bat\b/g, ' ')
+		.replace(/[,]/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+
+	const today = wallClockIn(now.getTime(), settings.timeZone);
+	let year: number | undefined;
+	let month: number | undefined;
+	let day: number | undefined;
+
+	const relative = rest.match(/^(today|yesterday|tomorrow)$/);
+	if (relative) {
+		const shift = relative[1] === 'yesterday' ? -1 : relative[1] === 'tomorrow' ? 1 : 0;
+		const shifted = new Date(Date.UTC(today.year, today.month - 1, today.day + shift));
+		year = shifted.getUTCFullYear();
+		month = shifted.getUTCMonth() + 1;
+		day = shifted.getUTCDate();
+	}
+
+	// Numeric dates: 2024-01-05, 01/05/2024, 05.01.24, ...
+	const numeric = !relative && rest.match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})$/);
+	if (numeric) {
+		const [a, b, c] = [parseInt(numeric[1]), parseInt(numeric[2]), parseInt(numeric[3])];
+		if (numeric[1].length === 4 || settings.order === 'YMD') {
+			[year, month, day] = [expandYear(a), b, c];
+		} else if (settings.order === 'DMY' || (settings.order === 'MDY' && a > 12 && b <= 12)) {
+			[day, month, year] = [a, b, expandYear(c)];
+		} else {
+			[month, day, year] = [a, b, expandYear(c)];
+		}
+	}
+
+	// Dates with month names: "Jan 5 2024", "5 January 2024", "January 5"
+	if (!relative && !numeric) {
+		const names = monthNames(settings.locale);
+		const words = rest
+			.split(' ')
+			.map((word) => word.replace(/\.$/, ''))
+			.filter(Boolean);
+		const numbers: number[] = [];
+		for (const word of words) {
+			if (names.has(word)) {
+				month = names.get(word);
+			} else if (/^\d{1,4}(st|nd|rd|th)?$/.test(word)) {
+				numbers.push(parseInt(word));
+			}
+		}
+		if (month !== undefined && numbers.length > 0) {
+			day = numbers.find((n) => n >= 1 && n <= 31);
+			year = numbers.find((n) => n !== day && n > 31) ?? numbers.find((n) => n !== day);
+			if (year === undefined) {
+				// No year shown: assume the most recent occurrence of that date
+				year = today.year;
+				if (month > today.month || (month === today.month && (day || 1) > today.day + 1)) {
+					year--;
+				}
+			} else {
+				year = expandYear(year);
+			}
+		}
+	}
+
+	// A bare time means today
+	if (year === undefined && time && !rest) {
+		[year, month, day] = [today.year, today.month, today.day];
+	}
+
+	if (year === undefined || month === undefined || day === undefined) return null;
+	if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+	// Reject dates like 02/30 that would roll over into the next month
+	const check = new Date(Date.UTC(year, month - 1, day));
+	if (check.getUTCMonth() !== month - 1) return null;
+
+	const timestamp = zonedTimeToUtc({ year, month, day, hour, minute, second }, settings.timeZone);
+	return new Date(timestamp).toISOString();
+}
+
+/**
+ * Format an ISO timestamp for display or export in the configured time zone
+ */
+export function formatTransactionDate(
+	iso: string,
+	format: DateFormat,
+	settings: DateSettings = DEFAULT_DATE_SETTINGS
+): string {
+	const timestamp = Date.parse(iso);
+	if (isNaN(timestamp)) return iso;
+	if (format === 'ISO') return new Date(timestamp).toISOString();
+	if (format === 'locale') {
+		try {
+			return new Intl.DateTimeFormat(settings.locale, {
+				dateStyle: 'medium',
+				timeStyle: 'short',
+				timeZone: settings.timeZone
+			}).format(timestamp);
+		} catch {
+			return new Date(timestamp).toLocaleString();
+		}
+	}
+
+	const clock = wallClockIn(timestamp, settings.timeZone);
+	const pad = (n: number) => String(n).padStart(2, '0');
+	const date = {
+		'MM/DD/YYYY': `${pad(clock.month)}/${pad(clock.day)}/${clock.year}`,
+		'DD/MM/YYYY': `${pad(clock.day)}/${pad(clock.month)}/${clock.year}`,
+		'YYYY-MM-DD': `${clock.year}-${pad(clock.month)}-${pad(clock.day)}`
+	};
+
+	if (format === 'MM/DD/YYYY h:mm A') {
+		const hour12 = clock.hour % 12 || 12;
+		return `${date['MM/DD/YYYY']} ${hour12}:${pad(clock.minute)} ${clock.hour < 12 ? 'AM' : 'PM'}`;
+	}
+	if (format === 'YYYY-MM-DD HH:mm') {
+		return `${date['YYYY-MM-DD']} ${pad(clock.hour)}:${pad(clock.minute)}`;
+	}
+	return date[format];
+}
+
+/**
+ * Spreadsheet date serial (days since 1899-12-30, as Excel counts them) for an ISO timestamp,
+ * as wall-clock time in the configured time zone; null when the timestamp can't be parsed
+ */
+export function toSerialDate(
+	iso: string,
+	settings: DateSettings = DEFAULT_DATE_SETTINGS
+): number | null {
+	const timestamp = Date.parse(iso);
+	if (isNaN(timestamp)) return null;
+	const clock = wallClockIn(timestamp, settings.timeZone);
+	const wallTime = Date.UTC(
+		clock.year,
+		clock.month - 1,
+		clock.day,
+		clock.hour,
+		clock.minute,
+		clock.second
+	);
+	return wallTime / (24 * 60 * 60 * 1000) + 25569;
+}
+
+/**
+ * Attach normalized ISO dates to transactions that don't have one yet (e.g. older cached data)
+ */
+export function withIsoDates<T extends { date: string; isoDate?: string | null }>(
+	transactions: T[],
+	settings: DateSettings = DEFAULT_DATE_SETTINGS,
+	now: Date = new Date()
+): T[] {
+	return transactions.map((tx) =>
+		tx.isoDate === undefined ? { ...tx, isoDate: parseTransactionDate(tx.date, settings, now) } : tx
+	);
+}
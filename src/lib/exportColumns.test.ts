@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+	BUILT_IN_EXPORT_PRESETS,
+	exportTable,
+	getExportPreset,
+	resolveColumns,
+	validateExportPreset,
+	validateExportPresets
+} from './exportColumns';
+import { generateCSV } from './utils';
+import type { Transaction } from './transactionScraper';
+
+const tx: Transaction = {
+	customer: 'Jane Doe',
+	date: '05/01/2024',
+	amount: '$1,234.50',
+	transactionId: 'A1',
+	isoDate: '2024-05-01T00:00:00.000Z',
+	extra: { status: 'Paid', tip: '$2.00' },
+	source: { tabId: 1, url: 'https://example.com/transactions', title: 'Transactions' }
+};
+
+const extraColumns = [
+	{ key: 'status', label: 'Status' },
+	{ key: 'tip', label: 'Tip' }
+];
+
+describe('export columns', () => {
+	it('adds amount value, currency and extra fields after the base columns in the default preset', () => {
+		const columns = resolveColumns(BUILT_IN_EXPORT_PRESETS[0], extraColumns);
+		expect(generateCSV([tx], (name) => name, columns)).toBe(
+			'Customer,Date,Amount,ID,Amount Value,Currency,Status,Tip\n' +
+				'Jane Doe,05/01/2024,"$1,234.50",A1,1234.50,USD,Paid,$2.00'
+		);
+	});
+
+	it('exports the chosen columns in order under their own headers', () => {
+		const preset = validateExportPreset({
+			id: 'mine',
+			name: ' Mine ',
+			includeExtraFields: false,
+			columns: [
+				{ field: 'amountValue', header: 'Total' },
+				{ field: 'extra:tip', header: 'Gratuity' },
+				{ field: 'sourceUrl', header: 'Page' },
+				{ field: 'customer', header: 'Client' }
+			]
+		});
+		expect(preset.name).toBe('Mine');
+
+		const { headers, rows } = exportTable([tx], resolveColumns(preset, extraColumns), (name) =>
+			name.toUpperCase()
+		);
+		expect(headers).toEqual(['Total', 'Gratuity', 'Page', 'Client']);
+		expect(rows).toEqual([['1234.50', '$2.00', 'https://example.com/transactions', 'JANE DOE']]);
+	});
+
+	it('rejects unusable presets and falls back to the default one', () => {
+		const column = { field: 'customer', header: 'Customer' };
+		expect(() => validateExportPreset({ id: 'x', name: 'X', columns: [] })).toThrow(
+			'at least one column'
+		);
+		expect(() =>
+			validateExportPreset({ id: 'x', name: 'X', columns: [{ field: 'nope', header: 'N' }] })
+		).toThrow('Unknown export column');
+		expect(() => validateExportPreset({ id: 'x', name: 'X', columns: [column, column] })).toThrow(
+			'listed twice'
+		);
+		expect(() =>
+			validateExportPresets([{ id: 'default', name: 'Mine', columns: [column] }])
+		).toThrow('already in use');
+
+		expect(getExportPreset([], 'missing').id).toBe('default');
+	});
+});
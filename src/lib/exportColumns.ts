@@ -0,0 +1,233 @@
+// Which columns exports contain, in what order and under which headers. Presets are kept in
+// settings and shared by Copy All and every export format.
+import { currencyDecimals, parseMoney, toDecimal } from './money';
+import type { Transaction } from './transactionScraper';
+import type { ExtraColumn } from './utils';
+
+export type ExportField =
+	| 'customer'
+	| 'date'
+	| 'isoDate'
+	| 'amount'
+	| 'amountValue'
+	| 'currency'
+	| 'transactionId'
+	| 'sourceUrl'
+	| 'sourceTitle';
+
+// Extra (profile-defined) fields are referenced as `extra:<field name>`
+export const EXTRA_FIELD_PREFIX = 'extra:';
+
+export interface ExportColumn {
+	field: string; // An ExportField or an extra field reference
+	header: string;
+}
+
+export interface ExportPreset {
+	id: string;
+	name: string;
+	columns: ExportColumn[];
+	includeExtraFields: boolean; // Append every extra field that `columns` doesn't list
+	builtIn?: boolean;
+}
+
+export const FIELD_LABELS: Record<ExportField, string> = {
+	customer: 'Customer',
+	date: 'Date',
+	isoDate: 'ISO Date',
+	amount: 'Amount',
+	amountValue: 'Amount Value',
+	currency: 'Currency',
+	transactionId: 'ID',
+	sourceUrl: 'Source URL',
+	sourceTitle: 'Source Title'
+};
+
+const FIELDS = Object.keys(FIELD_LABELS) as ExportField[];
+
+export const DEFAULT_EXPORT_PRESET_ID = 'default';
+
+export const BUILT_IN_EXPORT_PRESETS: ExportPreset[] = [
+	{
+		id: DEFAULT_EXPORT_PRESET_ID,
+		name: 'Default',
+		builtIn: true,
+		includeExtraFields: true,
+		columns: (
+			['customer', 'date', 'amount', 'transactionId', 'amountValue', 'currency'] as const
+		).map((field) => ({ field, header: FIELD_LABELS[field] }))
+	},
+	{
+		id: 'bookkeeping',
+		name: 'Bookkeeping',
+		builtIn: true,
+		includeExtraFields: false,
+		columns: [
+			{ field: 'isoDate', header: 'Date' },
+			{ field: 'customer', header: 'Payee' },
+			{ field: 'amountValue', header: 'Amount' },
+			{ field: 'currency', header: 'Currency' },
+			{ field: 'transactionId', header: 'Reference' },
+			{ field: 'sourceUrl', header: 'Source' }
+		]
+	}
+];
+
+function isKnownField(field: string): boolean {
+	return (
+		FIELDS.includes(field as ExportField) ||
+		(field.startsWith(EXTRA_FIELD_PREFIX) && field.length > EXTRA_FIELD_PREFIX.length)
+	);
+}
+
+/**
+ * Validate a user-defined preset, throwing a readable error for anything unusable
+ */
+export function validateExportPreset(data: unknown): ExportPreset {
+	if (!data || typeof data !== 'object') throw new Error('Export preset must be an object');
+
+	const preset = data as Partial<ExportPreset>;
+	if (typeof preset.id !== 'string' || !preset.id.trim()) {
+		throw new Error('Export preset is missing an "id"');
+	}
+	if (typeof preset.name !== 'string' || !preset.name.trim()) {
+		throw new Error('Export preset is missing a "name"');
+	}
+	if (!Array.isArray(preset.columns) || preset.columns.length === 0) {
+		throw new Error(`Export preset "${preset.name}" needs at least one column`);
+	}
+
+	const seen = new Set<string>();
+	const columns = preset.columns.map((column) => {
+		if (typeof column?.field !== 'string' || !isKnownField(column.field)) {
+			throw new Error(`Unknown export column "${column?.field}"`);
+		}
+		if (seen.has(column.field)) throw new Error(`Column "${column.field}" is listed twice`);
+		seen.add(column.field);
+		if (typeof column.header !== 'string' || !column.header.trim()) {
+			throw new Error(`Column "${column.field}" needs a header`);
+		}
+		return { field: column.field, header: column.header.trim() };
+	});
+
+	return {
+		id: preset.id.trim(),
+		name: preset.name.trim(),
+		columns,
+		includeExtraFields: preset.includeExtraFields === true
+	};
+}
+
+/**
+ * Validate the list of user-defined presets kept in settings
+ */
+export function validateExportPresets(data: unknown): ExportPreset[] {
+	if (!Array.isArray(data)) throw new Error('Export presets must be a list');
+
+	const presets = data.map(validateExportPreset);
+	const ids = new Set(BUILT_IN_EXPORT_PRESETS.map((preset) => preset.id));
+	for (const preset of presets) {
+		if (ids.has(preset.id)) throw new Error(`Export preset id "${preset.id}" is already in use`);
+		ids.add(preset.id);
+	}
+	return presets;
+}
+
+/**
+ * Built-in presets followed by the user's own
+ */
+export function listExportPresets(custom: ExportPreset[]): ExportPreset[] {
+	return [...BUILT_IN_EXPORT_PRESETS, ...custom];
+}
+
+/**
+ * Look up a preset by id, falling back to the default one
+ */
+export function getExportPreset(custom: ExportPreset[], id: string): ExportPreset {
+	return listExportPresets(custom).find((preset) => preset.id === id) ?? BUILT_IN_EXPORT_PRESETS[0];
+}
+
+/**
+ * Every column that can be exported, with extra fields from the current data or profile
+ */
+export function availableColumns(extraColumns: ExtraColumn[] = []): ExportColumn[] {
+	return [
+		...FIELDS.map((field) => ({ field, header: FIELD_LABELS[field] })),
+		...extraColumns.map((column) => ({
+			field: `${EXTRA_FIELD_PREFIX}${column.key}`,
+			header: column.label
+		}))
+	];
+}
+
+/**
+ * The columns a preset exports for data with the given extra fields
+ */
+export function resolveColumns(
+	preset: ExportPreset,
+	extraColumns: ExtraColumn[] = []
+): ExportColumn[] {
+	if (!preset.includeExtraFields) return preset.columns;
+
+	const listed = new Set(preset.columns.map((column) => column.field));
+	return [
+		...preset.columns,
+		...availableColumns(extraColumns).filter(
+			(column) => column.field.startsWith(EXTRA_FIELD_PREFIX) && !listed.has(column.field)
+		)
+	];
+}
+
+/**
+ * One cell of an export. Amount Value/Currency come from the parsed money and stay empty
+ * for unparseable amounts.
+ */
+export function columnValue(
+	tx: Transaction,
+	field: string,
+	formatCustomer: (name: string) => string = (name) => name
+): string {
+	if (field.startsWith(EXTRA_FIELD_PREFIX)) {
+		return tx.extra?.[field.slice(EXTRA_FIELD_PREFIX.length)] || '';
+	}
+
+	const money = tx.money === undefined ? parseMoney(tx.amount) : tx.money;
+	switch (field as ExportField) {
+		case 'customer':
+			return formatCustomer(tx.customer);
+		case 'date':
+			return tx.date;
+		case 'isoDate':
+			return tx.isoDate || '';
+		case 'amount':
+			return tx.amount;
+		case 'amountValue':
+			return money ? toDecimal(money).toFixed(currencyDecimals(money.currency)) : '';
+		case 'currency':
+			return money?.currency || '';
+		case 'transactionId':
+			return tx.transactionId;
+		case 'sourceUrl':
+			return tx.source?.url || '';
+		case 'sourceTitle':
+			return tx.source?.title || '';
+		default:
+			return '';
+	}
+}
+
+/**
+ * Headers and cell values for exporting transactions with the given columns
+ */
+export function exportTable(
+	transactions: Transaction[],
+	columns: ExportColumn[],
+	formatCustomer?: (name: string) => string
+): { headers: string[]; rows: string[][] } {
+	return {
+		headers: columns.map((column) => column.header),
+		rows: transactions.map((tx) =>
+			columns.map((column) => columnValue(tx, column.field, formatCustomer))
+		)
+	};
+}
@@ -0,0 +1,35 @@
+// Where exported rows came from and how they were filtered, shared by the export formats
+import type { MetadataValue } from './xlsx';
+
+export interface ExportMetadata {
+	exportedAt: string; // ISO timestamp
+	extractedAt: string | null; // ISO timestamp of the extraction, when known
+	sourcePages: string[];
+	rowCount: number; // Rows exported, after filtering
+	totalRows: number; // Rows extracted
+	filters: { search: string; source: string };
+	columnPreset: string;
+	selectorProfile: { id: string; name: string; version: number };
+	timeZone: string;
+	extensionVersion: string | null;
+}
+
+/**
+ * Label/value pairs for formats that show metadata as a table, e.g. the XLSX info sheet
+ */
+export function metadataRows(metadata: ExportMetadata): [string, MetadataValue][] {
+	const profile = metadata.selectorProfile;
+	return [
+		['Exported at', new Date(metadata.exportedAt)],
+		['Extracted at', metadata.extractedAt ? new Date(metadata.extractedAt) : null],
+		['Source page', metadata.sourcePages.join('\n')],
+		['Rows exported', metadata.rowCount],
+		['Rows extracted', metadata.totalRows],
+		['Search', metadata.filters.search || 'None'],
+		['Source filter', metadata.filters.source || 'All sources'],
+		['Column preset', metadata.columnPreset],
+		['Selector profile', `${profile.name} (v${profile.version})`],
+		['Time zone', metadata.timeZone],
+		['Extension version', metadata.extensionVersion]
+	];
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import schema from '../../static/schemas/transactions-export-v1.schema.json';
+import type { ExportMetadata } from './exportMetadata';
+import { buildJsonExport, toNdjson } from './jsonExport';
+import { validateJsonSchema, type JsonSchema } from './jsonSchema';
+import type { Transaction } from './transactionScraper';
+
+const metadata: ExportMetadata = {
+	exportedAt: '2024-05-02T09:00:00.000Z',
+	extractedAt: '2024-05-02T08:59:00.000Z',
+	sourcePages: ['https://example.com/transactions'],
+	rowCount: 2,
+	totalRows: 5,
+	filters: { search: '>1', source: '' },
+	columnPreset: 'Default',
+	selectorProfile: { id: 'paytracker-default', name: 'PayTracker', version: 1 },
+	timeZone: 'UTC',
+	extensionVersion: '3.0.3'
+};
+
+const rows: Transaction[] = [
+	{
+		customer: 'Jane Doe',
+		date: '05/01/2024',
+		isoDate: '2024-05-01T00:00:00.000Z',
+		amount: '-$4.50',
+		transactionId: 'A1',
+		extra: { status: 'Refunded' },
+		source: { tabId: 3, url: 'https://example.com/transactions', title: 'Transactions' }
+	},
+	{ customer: 'John Roe', date: 'soon', amount: 'n/a', transactionId: 'B2' }
+];
+
+describe('JSON export', () => {
+	it('builds a document that matches the published schema', () => {
+		const exported = buildJsonExport(rows, metadata, (name) => name.split(' ')[0]);
+		expect(exported.transactions[0]).toEqual({
+			id: 'A1',
+			customer: 'Jane',
+			date: '05/01/2024',
+			isoDate: '2024-05-01T00:00:00.000Z',
+			amount: { text: '-$4.50', value: -4.5, minorUnits: -450, currency: 'USD' },
+			source: { url: 'https://example.com/transactions', title: 'Transactions' },
+			extra: { status: 'Refunded' }
+		});
+		expect(exported.transactions[1]).toMatchObject({
+			isoDate: null,
+			amount: { value: null, currency: null },
+			source: null
+		});
+	});
+
+	it('reports where a document breaks the schema', () => {
+		const valid = buildJsonExport(rows, metadata);
+		const broken = JSON.parse(JSON.stringify(valid));
+		broken.transactions[0].amount.currency = 'usd';
+		broken.transactions[1].surprise = true;
+		delete broken.metadata.timeZone;
+
+		expect(validateJsonSchema(broken, schema as JsonSchema)).toEqual([
+			'$.metadata: missing "timeZone"',
+			'$.transactions[0].amount.currency: does not match ^[A-Z]{3}$',
+			'$.transactions[1]: unexpected property "surprise"'
+		]);
+		expect(() => buildJsonExport(rows, { ...metadata, exportedAt: 'today' })).toThrow(
+			'$.metadata.exportedAt: is not a date-time'
+		);
+	});
+
+	it('writes NDJSON with the metadata first', () => {
+		const lines = toNdjson(buildJsonExport(rows, metadata)).trimEnd().split('\n');
+		expect(lines).toHaveLength(3);
+		expect(JSON.parse(lines[0])).toMatchObject({
+			type: 'metadata',
+			format: 'paytracker-transactions',
+			rowCount: 2
+		});
+		expect(JSON.parse(lines[2])).toMatchObject({ type: 'transaction', id: 'B2' });
+	});
+});
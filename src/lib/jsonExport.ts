@@ -0,0 +1,93 @@
+// Machine-readable JSON and NDJSON exports, described by the versioned schema shipped in
+// static/schemas and checked against it before anything is downloaded
+import schema from '../../static/schemas/transactions-export-v1.schema.json';
+import type { ExportMetadata } from './exportMetadata';
+import { validateJsonSchema, type JsonSchema } from './jsonSchema';
+import { parseMoney, signedMinorUnits, toDecimal } from './money';
+import type { Transaction } from './transactionScraper';
+
+export const JSON_EXPORT_FORMAT = 'paytracker-transactions';
+export const JSON_EXPORT_VERSION = 1;
+export const JSON_EXPORT_SCHEMA = 'schemas/transactions-export-v1.schema.json'; // Path in the extension
+
+export interface ExportedTransaction {
+	id: string;
+	customer: string;
+	date: string; // As shown on the page
+	isoDate: string | null;
+	amount: {
+		text: string; // As shown on the page
+		value: number | null; // Signed decimal
+		minorUnits: number | null; // Signed, in the currency's smallest unit
+		currency: string | null;
+	};
+	source: { url: string; title: string } | null;
+	extra: Record<string, string>;
+}
+
+export interface JsonExport {
+	format: typeof JSON_EXPORT_FORMAT;
+	version: typeof JSON_EXPORT_VERSION;
+	metadata: ExportMetadata;
+	transactions: ExportedTransaction[];
+}
+
+export function toExportedTransaction(
+	tx: Transaction,
+	formatCustomer: (name: string) => string = (name) => name
+): ExportedTransaction {
+	const money = tx.money === undefined ? parseMoney(tx.amount) : tx.money;
+	return {
+		id: tx.transactionId,
+		customer: formatCustomer(tx.customer),
+		date: tx.date,
+		isoDate: tx.isoDate ?? null,
+		amount: {
+			text: tx.amount,
+			value: money ? toDecimal(money) : null,
+			minorUnits: money ? signedMinorUnits(money) : null,
+			currency: money?.currency ?? null
+		},
+		source: tx.source ? { url: tx.source.url, title: tx.source.title } : null,
+		extra: { ...tx.extra }
+	};
+}
+
+/**
+ * Build the export document, throwing if it doesn't match the published schema
+ */
+export function buildJsonExport(
+	transactions: Transaction[],
+	metadata: ExportMetadata,
+	formatCustomer?: (name: string) => string
+): JsonExport {
+	const document: JsonExport = {
+		format: JSON_EXPORT_FORMAT,
+		version: JSON_EXPORT_VERSION,
+		metadata,
+		transactions: transactions.map((tx) => toExportedTransaction(tx, formatCustomer))
+	};
+
+	const errors = validateJsonSchema(document, schema as JsonSchema);
+	if (errors.length > 0) {
+		throw new Error(`Export doesn't match its schema: ${errors.slice(0, 3).join('; ')}`);
+	}
+	return document;
+}
+
+/**
+ * One JSON object per line: the metadata first, then each transaction, tagged with "type"
+ * so consumers can stream the file
+ */
+export function toNdjson(document: JsonExport): string {
+	const header = {
+		type: 'metadata',
+		format: document.format,
+		version: document.version,
+		...document.metadata
+	};
+	return [header, ...document.transactions.map((tx) => ({ type: 'transaction', ...tx }))]
+		.map((line) => JSON.stringify(line))
+		.join('\n')
+		.concat('\n');
+}
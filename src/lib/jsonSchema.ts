@@ -0,0 +1,104 @@
+// Validator for the subset of JSON Schema (2020-12) used by the schemas in static/schemas:
+// type, const, enum, properties, required, additionalProperties, items, minimum, pattern,
+// format "date-time" and local $refs into $defs
+
+export interface JsonSchema {
+	$ref?: string;
+	$defs?: Record<string, JsonSchema>;
+	type?: string | string[];
+	const?: unknown;
+	enum?: unknown[];
+	properties?: Record<string, JsonSchema>;
+	required?: string[];
+	additionalProperties?: boolean | JsonSchema;
+	items?: JsonSchema;
+	minimum?: number;
+	pattern?: string;
+	format?: string;
+	[keyword: string]: unknown;
+}
+
+function typeOf(value: unknown): string {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+function matchesType(value: unknown, type: string): boolean {
+	const actual = typeOf(value);
+	return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// RFC 3339 date-time, e.g. 2024-05-01T12:00:00.000Z
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i;
+
+/**
+ * Check a value against a schema, returning one message per problem (empty when valid)
+ */
+export function validateJsonSchema(
+	value: unknown,
+	schema: JsonSchema,
+	root: JsonSchema = schema,
+	path = '$'
+): string[] {
+	if (schema.$ref) {
+		const name = schema.$ref.replace(/^#\/\$defs\//, '');
+		const target = root.$defs?.[name];
+		if (!target) return [`${path}: unknown schema reference ${schema.$ref}`];
+		return validateJsonSchema(value, target, root, path);
+	}
+
+	const types = schema.type === undefined ? [] : [schema.type].flat();
+	if (types.length > 0 && !types.some((type) => matchesType(value, type))) {
+		return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+	}
+	if ('const' in schema && JSON.stringify(value) !== JSON.stringify(schema.const)) {
+		return [`${path}: must be ${JSON.stringify(schema.const)}`];
+	}
+	if (schema.enum && !schema.enum.some((option) => option === value)) {
+		return [
+			`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`
+		];
+	}
+
+	const errors: string[] = [];
+	if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+		errors.push(`${path}: must be at least ${schema.minimum}`);
+	}
+	if (typeof value === 'string') {
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			errors.push(`${path}: does not match ${schema.pattern}`);
+		}
+		if (schema.format === 'date-time' && (!DATE_TIME.test(value) || isNaN(Date.parse(value)))) {
+			errors.push(`${path}: is not a date-time`);
+		}
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((item, i) =>
+			errors.push(...validateJsonSchema(item, schema.items!, root, `${path}[${i}]`))
+		);
+	}
+
+	if (typeOf(value) === 'object') {
+		const object = value as Record<string, unknown>;
+		for (const key of schema.required ?? []) {
+			if (!(key in object)) errors.push(`${path}: missing "${key}"`);
+		}
+		for (const [key, item] of Object.entries(object)) {
+			const property = schema.properties?.[key];
+			if (property) {
+				errors.push(...validateJsonSchema(item, property, root, `${path}.${key}`));
+			} else if (schema.additionalProperties === false) {
+				errors.push(`${path}: unexpected property "${key}"`);
+			} else if (typeof schema.additionalProperties === 'object') {
+				errors.push(
+					...validateJsonSchema(item, schema.additionalProperties, root, `${path}.${key}`)
+				);
+			}
+		}
+	}
+
+	return errors;
+}
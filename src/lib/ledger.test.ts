@@ -0,0 +1,120 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ANONYMIZED_CUSTOMER, TransactionLedger } from './ledger';
+import { parseMoney } from './money';
+import type { Transaction } from './transactionScraper';
+import { vault } from './vault';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const row = (transactionId: string, customer: string, isoDate: string, amount: string) => ({
+	customer,
+	date: isoDate.slice(0, 10),
+	isoDate,
+	amount,
+	money: parseMoney(amount),
+	transactionId
+});
+
+const rows: Transaction[] = [
+	row('A1', 'Jane Doe', '2024-05-01T10:00:00.000Z', '$12.50'),
+	row('B2', 'Jack Smith', '2024-05-02T10:00:00.000Z', '$5.00'),
+	row('C3', 'Ann Lee', '2024-05-03T10:00:00.000Z', '-$2.00'),
+	row('N/A', 'jane roe', '2024-05-04T10:00:00.000Z', '$7.00')
+];
+
+describe('TransactionLedger', () => {
+	const start = new Date('2024-05-10T00:00:00Z').getTime();
+	let ledger: TransactionLedger;
+
+	beforeEach(() => {
+		// A fresh, empty database for every test
+		Object.assign(globalThis, { indexedDB: new IDBFactory() });
+		vi.useFakeTimers({ now: start, toFake: ['Date'] });
+		vi.spyOn(vault, 'isEnabled').mockResolvedValue(false);
+		ledger = new TransactionLedger();
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('adds new transactions and merges ones seen again', async () => {
+		expect(await ledger.upsert(rows)).toEqual({ added: 4, updated: 0 });
+
+		vi.setSystemTime(start + DAY);
+		const refunded = { ...rows[0], amount: '-$12.50', money: parseMoney('-$12.50') };
+		const extra = { ...rows[1], extra: { tender: 'Card' } };
+		expect(await ledger.upsert([refunded, extra])).toEqual({ added: 0, updated: 2 });
+		expect(await ledger.upsert([{ ...rows[1] }])).toEqual({ added: 0, updated: 1 });
+
+		expect(await ledger.get('A1')).toMatchObject({
+			amount: '-$12.50',
+			amountMinor: -1250,
+			customerKey: 'jane doe',
+			firstSeen: start,
+			lastSeen: start + DAY
+		});
+		// Fields the page stopped showing are kept from the earlier sighting
+		expect((await ledger.get('B2'))?.extra).toEqual({ tender: 'Card' });
+		expect(await ledger.get('jane roe|2024-05-04|$7.00')).toMatchObject({ amountMinor: 700 });
+		expect(await ledger.count()).toBe(4);
+	});
+
+	it('pages through its indexes by range, prefix and offset', async () => {
+		for (const [i, tx] of rows.entries()) {
+			vi.setSystemTime(start + i * DAY);
+			await ledger.upsert([tx]);
+		}
+		const keys = (entries: { key: string }[]) => entries.map((entry) => entry.key);
+
+		const may2to3 = {
+			index: 'isoDate' as const,
+			from: '2024-05-02T00:00:00.000Z',
+			to: '2024-05-03T23:59:59.999Z'
+		};
+		expect(keys(await ledger.query(may2to3))).toEqual(['B2', 'C3']);
+		expect(await ledger.count(may2to3)).toBe(2);
+
+		const ja = { index: 'customerKey' as const, prefix: 'JA' };
+		expect(keys(await ledger.query(ja))).toEqual(['B2', 'A1', 'jane roe|2024-05-04|$7.00']);
+		expect(await ledger.count(ja)).toBe(3);
+
+		const refunds = { index: 'amountMinor' as const, to: 0 };
+		expect(keys(await ledger.query(refunds))).toEqual(['C3']);
+
+		const recent = { index: 'lastSeen' as const, newestFirst: true, offset: 1, limit: 2 };
+		expect(keys(await ledger.query(recent))).toEqual(['C3', 'B2']);
+		expect(await ledger.count({ index: 'lastSeen', from: start + DAY })).toBe(3);
+	});
+
+	it('deletes or anonymizes entries last seen before the cutoff', async () => {
+		await ledger.upsert(rows.slice(0, 2));
+		await ledger.upsert(rows.slice(3));
+		vi.setSystemTime(start + 30 * DAY);
+		await ledger.upsert(rows.slice(2, 3));
+		const cutoff = start + DAY;
+
+		expect(await ledger.purgeOlderThan(cutoff, 'anonymize')).toEqual({
+			deleted: 0,
+			anonymized: 3,
+			skipped: 0
+		});
+		const entries = await ledger.getAll();
+		const contentKeyed = entries.find((entry) => entry.transactionId === 'N/A');
+		expect(contentKeyed?.key).toMatch(/^a:[0-9a-f]{64}$/);
+		expect(contentKeyed).toMatchObject({
+			customer: ANONYMIZED_CUSTOMER,
+			customerKey: '',
+			amountMinor: 700
+		});
+		expect((await ledger.get('C3'))?.customer).toBe('Ann Lee');
+		// Already anonymized entries are left alone
+		expect(await ledger.purgeOlderThan(cutoff, 'anonymize')).toMatchObject({ anonymized: 0 });
+
+		expect(await ledger.purgeOlderThan(cutoff, 'delete')).toMatchObject({ deleted: 3 });
+		expect((await ledger.getAll()).map((entry) => entry.key)).toEqual(['C3']);
+	});
+});
@@ -0,0 +1,414 @@
+import { signedMinorUnits } from './money';
+import { transactionKey, type Transaction } from './transactionScraper';
+import { isSealed, vault, VaultLockedError, type Reprotector, type Sealed } from './vault';
+
+export interface LedgerEntry extends Transaction {
+	key: string; // transactionId, or customer|date|amount when the page shows no ID
+	customerKey: string; // Lowercased customer name for case-insensitive lookups
+	amountMinor: number | null; // Signed minor units, null when the amount couldn't be parsed
+	firstSeen: number;
+	lastSeen: number;
+	anonymizedAt?: number; // Set when the retention job stripped the customer details
+}
+
+// How an entry is stored while encryption is on: only the fields needed for the
+// date, amount and recency indexes stay readable
+interface SealedRecord {
+	key: string; // Hashed when the plain key would contain the customer name
+	isoDate?: string | null;
+	amountMinor: number | null;
+	firstSeen: number;
+	lastSeen: number;
+	sealed: Sealed;
+}
+
+type StoredRecord = LedgerEntry | SealedRecord;
+
+export type LedgerIndex = 'isoDate' | 'customerKey' | 'amountMinor' | 'lastSeen';
+
+export interface LedgerQuery {
+	index?: LedgerIndex;
+	from?: string | number; // Inclusive lower bound on the index
+	to?: string | number; // Inclusive upper bound on the index
+	prefix?: string; // Prefix match on string indexes (e.g. customer names)
+	newestFirst?: boolean;
+	offset?: number;
+	limit?: number;
+}
+
+export interface UpsertResult {
+	added: number;
+	updated: number;
+}
+
+export interface PurgeResult {
+	deleted: number;
+	anonymized: number;
+	skipped: number; // Encrypted entries that couldn't be anonymized while locked
+}
+
+export const ANONYMIZED_CUSTOMER = 'Anonymized customer';
+
+const DB_NAME = 'paytracker-ledger';
+const DB_VERSION = 1;
+const STORE = 'transactions';
+const INDEXES: LedgerIndex[] = ['isoDate', 'customerKey', 'amountMinor', 'lastSeen'];
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(request.result);
+		request.onerror = () => reject(request.error);
+	});
+}
+
+async function sha256(text: string): Promise<string> {
+	const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+	return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Durable history of every extracted transaction, keyed by transaction ID
+ */
+export class TransactionLedger {
+	private db: Promise<IDBDatabase> | null = null;
+
+	/**
+	 * Open (and create or upgrade) the database once per page
+	 */
+	private open(): Promise<IDBDatabase> {
+		if (this.db) return this.db;
+
+		this.db = new Promise((resolve, reject) => {
+			if (typeof indexedDB === 'undefined') {
+				reject(new Error('IndexedDB is not available'));
+				return;
+			}
+
+			const request = indexedDB.open(DB_NAME, DB_VERSION);
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				const store = db.objectStoreNames.contains(STORE)
+					? request.transaction!.objectStore(STORE)
+					: db.createObjectStore(STORE, { keyPath: 'key' });
+				for (const index of INDEXES) {
+					if (!store.indexNames.contains(index)) store.createIndex(index, index);
+				}
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => console.warn('Ledger upgrade blocked by another open window');
+		});
+
+		// Allow a retry after a failed open
+		this.db.catch(() => (this.db = null));
+		return this.db;
+	}
+
+	private async store(mode: IDBTransactionMode): Promise<IDBObjectStore> {
+		const db = await this.open();
+		return db.transaction(STORE, mode).objectStore(STORE);
+	}
+
+	/**
+	 * Storage key for an entry. Rows without a transaction ID are keyed by
+	 * customer|date|amount, so that key is hashed when the record is encrypted.
+	 */
+	private async recordKey(entry: { key: string; transactionId: string }, encrypted: boolean) {
+		return encrypted && entry.transactionId === 'N/A' ? `h:${await sha256(entry.key)}` : entry.key;
+	}
+
+	private async toRecord(
+		entry: LedgerEntry,
+		protect: (value: unknown) => Promise<unknown>
+	): Promise<StoredRecord> {
+		const sealed = await protect(entry);
+		if (!isSealed(sealed)) return entry;
+		return {
+			key: await this.recordKey(entry, true),
+			isoDate: entry.isoDate,
+			amountMinor: entry.amountMinor,
+			firstSeen: entry.firstSeen,
+			lastSeen: entry.lastSeen,
+			sealed
+		};
+	}
+
+	private async fromRecord(
+		record: StoredRecord,
+		reveal: (value: unknown) => Promise<unknown> = (value) => vault.reveal(value)
+	): Promise<LedgerEntry> {
+		if (!('sealed' in record)) return record;
+		const entry = (await reveal(record.sealed)) as LedgerEntry;
+		return { ...entry, firstSeen: record.firstSeen, lastSeen: record.lastSeen };
+	}
+
+	private async getAllRecords(): Promise<StoredRecord[]> {
+		const store = await this.store('readonly');
+		return promisify<StoredRecord[]>(store.getAll());
+	}
+
+	/**
+	 * Insert new transactions and refresh known ones, keeping when each was first seen.
+	 * Throws VaultLockedError while encrypted storage is locked.
+	 */
+	async upsert(transactions: Transaction[]): Promise<UpsertResult> {
+		const encrypted = await vault.isEnabled();
+		const now = Date.now();
+		const result: UpsertResult = { added: 0, updated: 0 };
+
+		// Encryption is async, so read, transform and write in separate IndexedDB transactions
+		const keys = await Promise.all(
+			transactions.map((tx) =>
+				this.recordKey({ key: transactionKey(tx), transactionId: tx.transactionId }, encrypted)
+			)
+		);
+		const reader = await this.store('readonly');
+		const existing = await Promise.all(
+			keys.map((key) => promisify<StoredRecord | undefined>(reader.get(key)))
+		);
+
+		const records = await Promise.all(
+			transactions.map(async (tx, i) => {
+				const previous = existing[i] ? await this.fromRecord(existing[i]!) : undefined;
+				if (previous) {
+					result.updated++;
+				} else {
+					result.added++;
+				}
+
+				const entry: LedgerEntry = {
+					...previous,
+					...tx,
+					key: transactionKey(tx),
+					customerKey: tx.customer.toLowerCase(),
+					amountMinor: tx.money ? signedMinorUnits(tx.money) : null,
+					firstSeen: previous?.firstSeen ?? now,
+					lastSeen: now,
+					anonymizedAt: undefined // Seen on the page again
+				};
+				return this.toRecord(entry, (value) => vault.protect(value));
+			})
+		);
+
+		const writer = await this.store('readwrite');
+		await Promise.all(records.map((record) => promisify(writer.put(record))));
+		return result;
+	}
+
+	async get(key: string): Promise<LedgerEntry | null> {
+		const store = await this.store('readonly');
+		const record =
+			(await promisify<StoredRecord | undefined>(store.get(key))) ??
+			(await promisify<StoredRecord | undefined>(store.get(`h:${await sha256(key)}`)));
+		return record ? this.fromRecord(record) : null;
+	}
+
+	/**
+	 * Encrypted records have no readable customer index, so customer queries
+	 * decrypt everything and filter in memory
+	 */
+	private async scanByCustomer(query: LedgerQuery): Promise<LedgerEntry[]> {
+		const entries = await Promise.all(
+			(await this.getAllRecords()).map((record) => this.fromRecord(record))
+		);
+		const prefix = query.prefix?.toLowerCase();
+		const matching = entries
+			.filter((entry) => {
+				if (prefix) return entry.customerKey.startsWith(prefix);
+				if (query.from !== undefined && entry.customerKey < String(query.from)) return false;
+				if (query.to !== undefined && entry.customerKey > String(query.to)) return false;
+				return true;
+			})
+			.sort((a, b) => a.customerKey.localeCompare(b.customerKey));
+		return query.newestFirst ? matching.reverse() : matching;
+	}
+
+	/**
+	 * Re-encrypt (or decrypt) every entry when encryption is turned on or off or
+	 * the passphrase changes
+	 */
+	async reprotect({ open, seal }: Reprotector): Promise<void> {
+		const records = await this.getAllRecords();
+		const next = await Promise.all(
+			records.map(async (record) => this.toRecord(await this.fromRecord(record, open), seal))
+		);
+
+		const store = await this.store('readwrite');
+		await promisify(store.clear());
+		await Promise.all(next.map((record) => promisify(store.put(record))));
+	}
+
+	/**
+	 * Page through the ledger by one of its indexes. Entries with no value for
+	 * the index (e.g. an unparseable date) are not returned by indexed queries.
+	 */
+	async query(query: LedgerQuery = {}): Promise<LedgerEntry[]> {
+		const offset = query.offset ?? 0;
+		const limit = query.limit ?? 100;
+		if (query.index === 'customerKey' && (await vault.isEnabled())) {
+			return (await this.scanByCustomer(query)).slice(offset, offset + limit);
+		}
+
+		const store = await this.store('readonly');
+		const source = query.index ? store.index(query.index) : store;
+		const range = this.toKeyRange(query);
+		let skip = offset;
+
+		const records = await new Promise<StoredRecord[]>((resolve, reject) => {
+			const entries: StoredRecord[] = [];
+			const request = source.openCursor(range, query.newestFirst ? 'prev' : 'next');
+
+			request.onerror = () => reject(request.error);
+			request.onsuccess = () => {
+				const cursor = request.result;
+				if (!cursor || entries.length >= limit) {
+					resolve(entries);
+					return;
+				}
+				if (skip > 0) {
+					const step = skip;
+					skip = 0;
+					cursor.advance(step);
+					return;
+				}
+				entries.push(cursor.value);
+				cursor.continue();
+			};
+		});
+		return Promise.all(records.map((record) => this.fromRecord(record)));
+	}
+
+	/**
+	 * Number of entries matching a query (ignoring offset and limit)
+	 */
+	async count(query: LedgerQuery = {}): Promise<number> {
+		if (query.index === 'customerKey' && (await vault.isEnabled())) {
+			return (await this.scanByCustomer(query)).length;
+		}
+		const store = await this.store('readonly');
+		const source = query.index ? store.index(query.index) : store;
+		return promisify(source.count(this.toKeyRange(query)));
+	}
+
+	/**
+	 * Every entry, decrypted; used for backups
+	 */
+	async getAll(): Promise<LedgerEntry[]> {
+		return Promise.all((await this.getAllRecords()).map((record) => this.fromRecord(record)));
+	}
+
+	/**
+	 * Write entries from a backup. When merging, an entry already in the ledger keeps
+	 * the earliest firstSeen and the fields of whichever copy was seen last.
+	 */
+	async restore(entries: LedgerEntry[], replace = false): Promise<void> {
+		const existing = replace ? [] : await this.getAll();
+		const known = new Map(existing.map((entry) => [entry.key, entry]));
+
+		const merged = entries.map((entry) => {
+			const current = known.get(entry.key);
+			if (!current) return entry;
+			const newer = entry.lastSeen >= current.lastSeen ? entry : current;
+			return {
+				...newer,
+				firstSeen: Math.min(entry.firstSeen, current.firstSeen),
+				lastSeen: Math.max(entry.lastSeen, current.lastSeen)
+			};
+		});
+
+		const records = await Promise.all(
+			merged.map((entry) => this.toRecord(entry, (value) => vault.protect(value)))
+		);
+		const store = await this.store('readwrite');
+		if (replace) await promisify(store.clear());
+		await Promise.all(records.map((record) => promisify(store.put(record))));
+	}
+
+	/**
+	 * Delete entries last seen before `cutoff`, or strip their customer name, source and
+	 * extra fields while keeping the date and amount for totals. Deleting works while
+	 * encrypted storage is locked; anonymizing skips encrypted entries until it's unlocked.
+	 */
+	async purgeOlderThan(cutoff: number, action: 'delete' | 'anonymize'): Promise<PurgeResult> {
+		const result: PurgeResult = { deleted: 0, anonymized: 0, skipped: 0 };
+		const reader = await this.store('readonly');
+		const stale = await promisify<StoredRecord[]>(
+			reader.index('lastSeen').getAll(IDBKeyRange.upperBound(cutoff, true))
+		);
+
+		if (action === 'delete') {
+			await this.remove(stale.map((record) => record.key));
+			result.deleted = stale.length;
+			return result;
+		}
+
+		const now = Date.now();
+		const replaced: { oldKey: string; record: StoredRecord }[] = [];
+		for (const record of stale) {
+			let entry: LedgerEntry;
+			try {
+				entry = await this.fromRecord(record);
+			} catch (error) {
+				if (!(error instanceof VaultLockedError)) throw error;
+				result.skipped++;
+				continue;
+			}
+			if (entry.anonymizedAt) continue;
+
+			// Content keys contain the customer name, so they're replaced by a hash
+			const key = entry.transactionId === 'N/A' ? `a:${await sha256(entry.key)}` : entry.key;
+			const anonymized: LedgerEntry = {
+				...entry,
+				key,
+				customer: ANONYMIZED_CUSTOMER,
+				customerKey: '',
+				extra: undefined,
+				source: undefined,
+				anonymizedAt: now
+			};
+			replaced.push({
+				oldKey: record.key,
+				record: await this.toRecord(anonymized, (value) => vault.protect(value))
+			});
+			result.anonymized++;
+		}
+
+		const writer = await this.store('readwrite');
+		for (const { oldKey, record } of replaced) {
+			if (oldKey !== record.key) await promisify(writer.delete(oldKey));
+			await promisify(writer.put(record));
+		}
+		return result;
+	}
+
+	async remove(keys: string[]): Promise<void> {
+		const store = await this.store('readwrite');
+		await Promise.all(keys.map((key) => promisify(store.delete(key))));
+	}
+
+	async clear(): Promise<void> {
+		const store = await this.store('readwrite');
+		await promisify(store.clear());
+	}
+
+	private toKeyRange(query: LedgerQuery): IDBKeyRange | undefined {
+		if (query.prefix !== undefined && query.prefix !== '') {
+			const prefix = query.index === 'customerKey' ? query.prefix.toLowerCase() : query.prefix;
+			return IDBKeyRange.bound(prefix, prefix + '\uffff');
+		}
+		if (query.from !== undefined && query.to !== undefined) {
+			return IDBKeyRange.bound(query.from, query.to);
+		}
+		if (query.from !== undefined) return IDBKeyRange.lowerBound(query.from);
+		if (query.to !== undefined) return IDBKeyRange.upperBound(query.to);
+		return undefined;
+	}
+}
+
+// Create and export a default instance
+export const transactionLedger = new TransactionLedger();
+
+vault.register('transaction ledger', (reprotector) => transactionLedger.reprotect(reprotector));
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+	getMigrationLog,
+	getSchemaVersion,
+	runMigrations,
+	STORAGE_SCHEMA_VERSION
+} from './migrations';
+import { memoryStorage } from '../test-storage';
+
+// What a 3.0.x install leaves behind
+const legacyItems = {
+	'paytracker_cache_/transactions_abc': '{"data":[{"amount":"$5.5\\u003555"}]}',
+	paytracker_cache_latest: '{"data":[]}',
+	'paytracker_cache_/transactions_def': { v: 2, codec: 'identity', data: '{}' },
+	instance_popup: 'popup_1',
+	instanceTime_popup: 1700000000000,
+	popupModeData: { transactions: [{ customer: 'A' }], searchTerm: '' },
+	detachedModeData: 'not an object',
+	lastSyncMode: 'detached',
+	lastSyncTime: 1700000000000
+};
+
+describe('runMigrations', () => {
+	it('upgrades a 3.0.x layout and cleans up stale keys', async () => {
+		const { items, storage } = memoryStorage(legacyItems);
+		const result = await runMigrations(storage, { extensionVersion: '3.1.0' });
+
+		expect(result.from).toBe(0);
+		expect(result.to).toBe(STORAGE_SCHEMA_VERSION);
+		expect(result.applied.every((entry) => entry.ok)).toBe(true);
+		expect(Object.keys(items).sort()).toEqual([
+			'migrationLog',
+			'paytracker_cache_/transactions_def',
+			'storageSchemaVersion'
+		]);
+	});
+
+	it('does nothing when already up to date', async () => {
+		const { storage } = memoryStorage(legacyItems);
+		await runMigrations(storage);
+		const again = await runMigrations(storage);
+
+		expect(again.applied).toEqual([]);
+		expect(await getMigrationLog(storage)).toHaveLength(STORAGE_SCHEMA_VERSION);
+	});
+
+	it('stamps fresh installs without running migrations', async () => {
+		const { storage } = memoryStorage();
+		const result = await runMigrations(storage, { fresh: true });
+
+		expect(result.applied).toEqual([]);
+		expect(await getSchemaVersion(storage)).toBe(STORAGE_SCHEMA_VERSION);
+	});
+
+	it('stops at a failing migration, logs it and retries next time', async () => {
+		const { storage } = memoryStorage();
+		let attempts = 0;
+		const migrations = [
+			{ version: 1, description: 'ok', migrate: async () => {} },
+			{
+				version: 2,
+				description: 'flaky',
+				migrate: async () => {
+					if (attempts++ === 0) throw new Error('boom');
+				}
+			}
+		];
+
+		const first = await runMigrations(storage, { migrations });
+		expect(first.to).toBe(1);
+		expect(first.applied.map((entry) => entry.ok)).toEqual([true, false]);
+		expect(first.applied[1].error).toBe('boom');
+
+		const second = await runMigrations(storage, { migrations });
+		expect(second.from).toBe(1);
+		expect(second.to).toBe(2);
+		expect(await getMigrationLog(storage)).toHaveLength(3);
+	});
+});
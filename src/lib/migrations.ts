@@ -0,0 +1,173 @@
+// Versioned layout of chrome.storage.local, upgraded by the background worker on install/update
+import { isEnvelope } from './compression';
+
+const SCHEMA_KEY = 'storageSchemaVersion';
+const LOG_KEY = 'migrationLog';
+const MAX_LOG_ENTRIES = 50;
+
+export type StorageAreaLike = Pick<chrome.storage.StorageArea, 'get' | 'set' | 'remove'>;
+
+export interface Migration {
+	version: number; // Schema version this migration upgrades to
+	description: string;
+	migrate(storage: StorageAreaLike): Promise<void>;
+}
+
+export interface MigrationLogEntry {
+	version: number;
+	description: string;
+	ok: boolean;
+	error?: string;
+	ranAt: number;
+	extensionVersion?: string;
+}
+
+export interface MigrationResult {
+	from: number;
+	to: number;
+	applied: MigrationLogEntry[];
+}
+
+export interface MigrationOptions {
+	fresh?: boolean; // New install: nothing to migrate, just stamp the current version
+	extensionVersion?: string;
+	migrations?: Migration[];
+}
+
+export const MIGRATIONS: Migration[] = [
+	{
+		version: 1,
+		description: 'Remove run-length encoded cache entries and the _latest copy',
+		async migrate(storage) {
+			const items = await storage.get(null);
+			const stale = Object.keys(items).filter(
+				(key) =>
+					key.startsWith('paytracker_cache_') &&
+					key !== 'paytracker_cache_index' &&
+					(key === 'paytracker_cache_latest' || !isEnvelope(items[key]))
+			);
+			if (stale.length > 0) await storage.remove(stale);
+
+			// Keep the cache index in step with what's left
+			const index = items.paytracker_cache_index;
+			if (index && typeof index === 'object') {
+				for (const key of stale) delete index[key];
+				await storage.set({ paytracker_cache_index: index });
+			}
+		}
+	},
+	{
+		version: 2,
+		description: 'Clear window instance markers left behind by the previous version',
+		async migrate(storage) {
+			const items = await storage.get(null);
+			const markers = Object.keys(items).filter(
+				(key) => key.startsWith('instance_') || key.startsWith('instanceTime_')
+			);
+			if (markers.length > 0) await storage.remove(markers);
+		}
+	},
+	{
+		version: 3,
+		description: 'Drop popup/detached sync snapshots that are missing or malformed',
+		async migrate(storage) {
+			const items = await storage.get([
+				'popupModeData',
+				'detachedModeData',
+				'lastSyncMode',
+				'lastSyncTime'
+			]);
+			const valid = (data: unknown) =>
+				typeof data === 'object' &&
+				data !== null &&
+				Array.isArray((data as { transactions?: unknown }).transactions);
+
+			const remove: string[] = [];
+			if ('popupModeData' in items && !valid(items.popupModeData)) remove.push('popupModeData');
+			if ('detachedModeData' in items && !valid(items.detachedModeData)) {
+				remove.push('detachedModeData');
+			}
+
+			// lastSyncMode must point at a snapshot that still exists
+			const mode = items.lastSyncMode;
+			const snapshot = mode === 'popup' ? 'popupModeData' : 'detachedModeData';
+			if (mode && (!(snapshot in items) || remove.includes(snapshot))) {
+				remove.push('lastSyncMode', 'lastSyncTime');
+			}
+
+			if (remove.length > 0) await storage.remove(remove);
+		}
+	},
+	{
+		version: 4,
+		description: 'Remove popup/detached sync snapshots replaced by shared session state',
+		async migrate(storage) {
+			await storage.remove(['popupModeData', 'detachedModeData', 'lastSyncMode', 'lastSyncTime']);
+		}
+	}
+];
+
+export const STORAGE_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export async function getSchemaVersion(storage: StorageAreaLike): Promise<number> {
+	const result = await storage.get(SCHEMA_KEY);
+	return typeof result[SCHEMA_KEY] === 'number' ? result[SCHEMA_KEY] : 0;
+}
+
+export async function getMigrationLog(storage: StorageAreaLike): Promise<MigrationLogEntry[]> {
+	const result = await storage.get(LOG_KEY);
+	return Array.isArray(result[LOG_KEY]) ? result[LOG_KEY] : [];
+}
+
+/**
+ * Run every migration newer than the stored schema version, in order. A failing
+ * migration stops the run and leaves the version at the last one that succeeded,
+ * so it is retried on the next update. Every attempt is appended to the log.
+ */
+export async function runMigrations(
+	storage: StorageAreaLike,
+	options: MigrationOptions = {}
+): Promise<MigrationResult> {
+	const migrations = [...(options.migrations ?? MIGRATIONS)].sort((a, b) => a.version - b.version);
+	const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+	const from = await getSchemaVersion(storage);
+	const applied: MigrationLogEntry[] = [];
+
+	if (options.fresh && from === 0) {
+		await storage.set({ [SCHEMA_KEY]: latest });
+		return { from, to: latest, applied };
+	}
+
+	let version = from;
+	for (const migration of migrations) {
+		if (migration.version <= version) continue;
+
+		const entry: MigrationLogEntry = {
+			version: migration.version,
+			description: migration.description,
+			ok: true,
+			ranAt: Date.now(),
+			extensionVersion: options.extensionVersion
+		};
+
+		try {
+			await migration.migrate(storage);
+			version = migration.version;
+			await storage.set({ [SCHEMA_KEY]: version });
+		} catch (error) {
+			entry.ok = false;
+			entry.error = error instanceof Error ? error.message : String(error);
+			console.error(`Storage migration ${migration.version} failed:`, error);
+		}
+
+		applied.push(entry);
+		if (!entry.ok) break;
+	}
+
+	if (applied.length > 0) {
+		const log = [...(await getMigrationLog(storage)), ...applied].slice(-MAX_LOG_ENTRIES);
+		await storage.set({ [LOG_KEY]: log });
+	}
+
+	return { from, to: version, applied };
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { parseMoney, toDecimal, totalsByCurrency } from './money';
+
+describe('parseMoney', () => {
+	it('parses dollar amounts into cents', () => {
+		expect(parseMoney('$12.50')).toEqual({ minorUnits: 1250, currency: 'USD', sign: 1 });
+		expect(parseMoney('$1,234.56')).toEqual({ minorUnits: 123456, currency: 'USD', sign: 1 });
+		expect(parseMoney('$7')).toEqual({ minorUnits: 700, currency: 'USD', sign: 1 });
+	});
+
+	it('marks refunds and voids as negative', () => {
+		expect(parseMoney('-$5.00')?.sign).toBe(-1);
+		expect(parseMoney('$-5.00')?.sign).toBe(-1);
+		expect(parseMoney('($5.00)')?.sign).toBe(-1);
+		expect(parseMoney('$5.00', { negative: true })?.sign).toBe(-1);
+	});
+
+	it('detects currencies from symbols and ISO codes', () => {
+		expect(parseMoney('€12,50')).toEqual({ minorUnits: 1250, currency: 'EUR', sign: 1 });
+		expect(parseMoney('1.234,56 EUR')).toEqual({ minorUnits: 123456, currency: 'EUR', sign: 1 });
+		expect(parseMoney('C$3.10')?.currency).toBe('CAD');
+		expect(parseMoney('CA$3.10')?.currency).toBe('CAD');
+		expect(parseMoney('AU$3.10')?.currency).toBe('AUD');
+		expect(parseMoney('¥1,200')).toEqual({ minorUnits: 1200, currency: 'JPY', sign: 1 });
+	});
+
+	it('returns null for values that are not money', () => {
+		expect(parseMoney('N/A')).toBeNull();
+		expect(parseMoney('')).toBeNull();
+		expect(parseMoney('Pending')).toBeNull();
+	});
+});
+
+describe('money helpers', () => {
+	it('converts to signed decimals and totals per currency', () => {
+		const refund = parseMoney('-$2.25')!;
+		expect(toDecimal(refund)).toBe(-2.25);
+
+		const totals = totalsByCurrency([
+			{ money: parseMoney('$10.00') },
+			{ money: refund },
+			{ money: parseMoney('€1.00') },
+			{ money: null }
+		]);
+		expect(totals).toEqual({ USD: 775, EUR: 100 });
+	});
+});
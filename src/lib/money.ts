@@ -0,0 +1,145 @@
+export interface Money {
+	minorUnits: number; // Absolute value in the currency's smallest unit (e.g. cents)
+	currency: string; // ISO 4217 code
+	sign: 1 | -1; // -1 for refunds and voids
+}
+
+// Currencies without a minor unit; everything else is assumed to have two decimals
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW', 'VND', 'CLP', 'ISK'];
+
+// Longest symbols first so "CA$" wins over "A$" and "C$" wins over "$"
+const CURRENCY_SYMBOLS: [string, string][] = [
+	['US$', 'USD'],
+	['CA$', 'CAD'],
+	['AU$', 'AUD'],
+	['NZ$', 'NZD'],
+	['MX$', 'MXN'],
+	['C$', 'CAD'],
+	['A$', 'AUD'],
+	['$', 'USD'],
+	['€', 'EUR'],
+	['£', 'GBP'],
+	['¥', 'JPY'],
+	['₹', 'INR']
+];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export function currencyDecimals(currency: string): number {
+	return ZERO_DECIMAL_CURRENCIES.includes(currency) ? 0 : 2;
+}
+
+/**
+ * Parse a displayed amount like "$12.50", "-$5.00", "($1,234.56)" or "12,50 EUR".
+ * Returns null when the string doesn't look like money.
+ */
+export function parseMoney(
+	value: string,
+	options: { negative?: boolean; defaultCurrency?: string } = {}
+): Money | null {
+	let text = value.trim();
+	if (!text || text === 'N/A') return null;
+
+	// Accounting-style parentheses, leading/trailing minus signs (including U+2212)
+	let negative = options.negative || false;
+	if (/^\(.*\)$/.test(text)) {
+		negative = true;
+		text = text.slice(1, -1).trim();
+	}
+	if (/^[-−]/.test(text) || /[-−]$/.test(text)) {
+		negative = true;
+		text = text.replace(/^[-−]\s*|\s*[-−]$/g, '');
+	}
+
+	let currency: string | null = null;
+	const isoMatch = text.match(/\b([A-Z]{3})\b/);
+	if (isoMatch) {
+		currency = isoMatch[1];
+		text = text.replace(isoMatch[0], '');
+	}
+	for (const [symbol, code] of CURRENCY_SYMBOLS) {
+		if (text.includes(symbol)) {
+			currency = currency || code;
+			text = text.replace(symbol, '');
+			break;
+		}
+	}
+
+	// A minus sign may sit between the symbol and the digits, e.g. "$-5.00"
+	text = text.trim();
+	if (/^[-−]/.test(text)) {
+		negative = true;
+		text = text.slice(1).trim();
+	}
+	if (!/^\d[\d,.\s]*$/.test(text)) return null;
+
+	// The last separator followed by one or two digits is the decimal point
+	const decimalMatch = text.match(/[.,](\d{1,2})$/);
+	const integerPart = (decimalMatch ? text.slice(0, decimalMatch.index) : text).replace(
+		/[.,\s]/g,
+		''
+	);
+	const fractionPart = decimalMatch ? decimalMatch[1] : '';
+
+	const resolvedCurrency = currency || options.defaultCurrency || DEFAULT_CURRENCY;
+	const decimals = currencyDecimals(resolvedCurrency);
+	const minorUnits =
+		parseInt(integerPart || '0', 10) * 10 ** decimals +
+		(decimals > 0 ? parseInt(fractionPart.padEnd(decimals, '0').slice(0, decimals) || '0', 10) : 0);
+
+	if (!Number.isSafeInteger(minorUnits)) return null;
+
+	return { minorUnits, currency: resolvedCurrency, sign: negative ? -1 : 1 };
+}
+
+/**
+ * Signed amount in minor units, e.g. -500 for a $5.00 refund
+ */
+export function signedMinorUnits(money: Money): number {
+	return money.sign * money.minorUnits;
+}
+
+/**
+ * Signed amount as a decimal number, e.g. -5 for a $5.00 refund
+ */
+export function toDecimal(money: Money): number {
+	return signedMinorUnits(money) / 10 ** currencyDecimals(money.currency);
+}
+
+export function formatMoney(minorUnits: number, currency: string = DEFAULT_CURRENCY): string {
+	const decimals = currencyDecimals(currency);
+	try {
+		return new Intl.NumberFormat(undefined, {
+			style: 'currency',
+			currency,
+			minimumFractionDigits: decimals,
+			maximumFractionDigits: decimals
+		}).format(minorUnits / 10 ** decimals);
+	} catch {
+		return `${(minorUnits / 10 ** decimals).toFixed(decimals)} ${currency}`;
+	}
+}
+
+/**
+ * Attach parsed money to transactions that don't have it yet (e.g. older cached data).
+ * Rows the page marked as refunds are negative even when their amount isn't.
+ */
+export function withMoney<T extends { amount: string; money?: Money | null; refund?: boolean }>(
+	transactions: T[]
+): T[] {
+	return transactions.map((tx) =>
+		tx.money === undefined ? { ...tx, money: parseMoney(tx.amount, { negative: tx.refund }) } : tx
+	);
+}
+
+/**
+ * Sum signed amounts per currency, ignoring rows whose amount couldn't be parsed
+ */
+export function totalsByCurrency(transactions: { money?: Money | null }[]): Record<string, number> {
+	const totals: Record<string, number> = {};
+	for (const tx of transactions) {
+		if (!tx.money) continue;
+		totals[tx.money.currency] = (totals[tx.money.currency] || 0) + signedMinorUnits(tx.money);
+	}
+	return totals;
+}
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_DATE_SETTINGS } from './dates';
+import { formatMoney } from './money';
+import { buildPrintReport, findPaymentMethodColumn, UNKNOWN_PAYMENT_METHOD } from './printReport';
+import type { Transaction } from './transactionScraper';
+import { formatCustomerName } from './utils';
+
+const source = { tabId: 1, url: 'https://shop.example.com/payments', title: 'Main Street Store' };
+
+const rows: Transaction[] = [
+	{
+		customer: 'Jane Doe',
+		date: '05/01/2024',
+		isoDate: '2024-05-01T23:30:00.000Z',
+		amount: '$12.50',
+		transactionId: 'A1',
+		extra: { tender: 'Card' },
+		source
+	},
+	{
+		customer: 'John Q Public',
+		date: '05/02/2024',
+		isoDate: '2024-05-02T10:00:00.000Z',
+		amount: '$5.00',
+		transactionId: 'B2',
+		extra: { tender: 'Cash' },
+		source
+	},
+	{
+		customer: 'Ann Lee',
+		date: '05/02/2024',
+		isoDate: '2024-05-02T12:00:00.000Z',
+		amount: '-$2.00',
+		transactionId: 'C3',
+		extra: { tender: 'Card' },
+		source
+	},
+	{ customer: 'N/A', date: 'later', isoDate: null, amount: 'pending', transactionId: 'N/A' }
+];
+
+const options = {
+	formatCustomer: formatCustomerName,
+	dateSettings: { ...DEFAULT_DATE_SETTINGS, timeZone: 'America/New_York' },
+	extraColumns: [
+		{ key: 'status', label: 'Status' },
+		{ key: 'tender', label: 'Tender' }
+	],
+	now: new Date('2024-05-03T00:00:00Z')
+};
+
+describe('print report', () => {
+	it('uses the date range, source pages and privacy-formatted names', () => {
+		const report = buildPrintReport(rows, options);
+
+		expect(report.dateRange).toEqual({ from: '2024-05-01', to: '2024-05-02' });
+		expect(report.locations).toEqual(['Main Street Store']);
+		expect(report.methodLabel).toBe('Tender');
+		expect(report.rows.map((row) => row.customer)).toEqual(['Jane D.', 'John P.', 'Ann L.', '']);
+		expect(report.rows[3]).toMatchObject({ method: UNKNOWN_PAYMENT_METHOD, transactionId: '' });
+		expect(report.unparsed).toBe(1);
+	});
+
+	it('totals by day in the configured time zone and by payment method', () => {
+		const report = buildPrintReport(rows, options);
+
+		// 23:30 UTC on May 1st is still May 1st in New York
+		expect(report.byDay).toEqual([
+			{ label: '2024-05-01', count: 1, amounts: [formatMoney(1250, 'USD')] },
+			{ label: '2024-05-02', count: 2, amounts: [formatMoney(300, 'USD')] },
+			{ label: 'Undated', count: 1, amounts: [] }
+		]);
+		expect(report.byMethod.map(({ label, count }) => [label, count])).toEqual([
+			['Card', 2],
+			['Cash', 1],
+			[UNKNOWN_PAYMENT_METHOD, 1]
+		]);
+		expect(report.total).toEqual({ label: 'Total', count: 4, amounts: [formatMoney(1550, 'USD')] });
+	});
+
+	it('falls back when there is no payment method field or source', () => {
+		expect(findPaymentMethodColumn([{ key: 'status', label: 'Status' }])).toBeNull();
+		expect(findPaymentMethodColumn([{ key: 'f3', label: 'Payment Method' }])?.key).toBe('f3');
+
+		const report = buildPrintReport([rows[3]], { fallbackLocation: 'Back office' });
+		expect(report.dateRange).toBeNull();
+		expect(report.locations).toEqual(['Back office']);
+		expect(report.byMethod).toEqual([{ label: UNKNOWN_PAYMENT_METHOD, count: 1, amounts: [] }]);
+	});
+});
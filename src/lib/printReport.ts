@@ -0,0 +1,163 @@
+// Print-ready report of the filtered transactions. The view that opens it builds the report
+// and hands it over in chrome.storage.session, so names arrive already formatted and the report
+// page doesn't scrape, filter or decrypt anything itself.
+import { DEFAULT_DATE_SETTINGS, formatTransactionDate, type DateSettings } from './dates';
+import { formatMoney, totalsByCurrency, withMoney } from './money';
+import type { Transaction } from './transactionScraper';
+import type { ExtraColumn } from './utils';
+
+export const PRINT_REPORT_KEY = 'printReport';
+export const UNKNOWN_PAYMENT_METHOD = 'Unknown';
+export const UNDATED = 'Undated';
+
+// Extra fields holding the payment method, e.g. "Payment Method", "Tender" or "Card type"
+const PAYMENT_METHOD_FIELD = /payment|method|tender|card/i;
+
+export interface ReportRow {
+	date: string;
+	customer: string;
+	amount: string;
+	method: string;
+	transactionId: string;
+}
+
+export interface ReportTotal {
+	label: string;
+	count: number;
+	amounts: string[]; // One formatted total per currency
+}
+
+export interface PrintReport {
+	generatedAt: string; // ISO timestamp
+	dateRange: { from: string; to: string } | null; // YYYY-MM-DD in the report's time zone
+	locations: string[]; // Source page titles, or their hosts
+	timeZone: string;
+	filters: { search: string; source: string };
+	methodLabel: string | null; // Extra field the payment methods were read from
+	rows: ReportRow[];
+	byDay: ReportTotal[];
+	byMethod: ReportTotal[];
+	total: ReportTotal;
+	unparsed: number; // Rows left out of the totals because their amount couldn't be parsed
+}
+
+export interface PrintReportOptions {
+	formatCustomer?: (name: string) => string;
+	dateSettings?: DateSettings;
+	extraColumns?: ExtraColumn[];
+	filters?: { search: string; source: string };
+	fallbackLocation?: string; // Used when no row says where it came from
+	now?: Date;
+}
+
+/**
+ * Extra column holding the payment method, matched by key or label
+ */
+export function findPaymentMethodColumn(columns: ExtraColumn[]): ExtraColumn | null {
+	return (
+		columns.find(
+			(column) => PAYMENT_METHOD_FIELD.test(column.key) || PAYMENT_METHOD_FIELD.test(column.label)
+		) ?? null
+	);
+}
+
+function locationOf(tx: Transaction): string | null {
+	if (tx.source?.title) return tx.source.title;
+	if (!tx.source?.url) return null;
+	try {
+		return new URL(tx.source.url).host;
+	} catch {
+		return tx.source.url;
+	}
+}
+
+function summarize(label: string, transactions: Transaction[]): ReportTotal {
+	return {
+		label,
+		count: transactions.length,
+		amounts: Object.entries(totalsByCurrency(transactions)).map(([currency, minorUnits]) =>
+			formatMoney(minorUnits, currency)
+		)
+	};
+}
+
+function groupBy(transactions: Transaction[], keyOf: (tx: Transaction) => string) {
+	const groups = new Map<string, Transaction[]>();
+	for (const tx of transactions) {
+		const key = keyOf(tx);
+		const group = groups.get(key);
+		if (group) group.push(tx);
+		else groups.set(key, [tx]);
+	}
+	return groups;
+}
+
+/**
+ * Build the report: rows in the order given, totals per day (in the configured time zone,
+ * undated rows last) and per payment method, largest group first
+ */
+export function buildPrintReport(
+	transactions: Transaction[],
+	options: PrintReportOptions = {}
+): PrintReport {
+	const dateSettings = options.dateSettings ?? DEFAULT_DATE_SETTINGS;
+	const formatCustomer = options.formatCustomer ?? ((name: string) => name);
+	const methodColumn = findPaymentMethodColumn(options.extraColumns ?? []);
+	const rows = withMoney(transactions);
+
+	const dayOf = (tx: Transaction) =>
+		tx.isoDate ? formatTransactionDate(tx.isoDate, 'YYYY-MM-DD', dateSettings) : UNDATED;
+	const methodOf = (tx: Transaction) =>
+		(methodColumn && tx.extra?.[methodColumn.key]?.trim()) || UNKNOWN_PAYMENT_METHOD;
+
+	const days = [...groupBy(rows, dayOf)]
+		.sort(([a], [b]) => (a === UNDATED ? 1 : b === UNDATED ? -1 : a.localeCompare(b)))
+		.map(([day, group]) => summarize(day, group));
+	const methods = [...groupBy(rows, methodOf)]
+		.sort(([a, x], [b, y]) => y.length - x.length || a.localeCompare(b))
+		.map(([method, group]) => summarize(method, group));
+	const dated = days.filter((day) => day.label !== UNDATED);
+
+	const locations = new Set(
+		rows.map(locationOf).filter((location): location is string => !!location)
+	);
+	if (locations.size === 0 && options.fallbackLocation) locations.add(options.fallbackLocation);
+
+	return {
+		generatedAt: (options.now ?? new Date()).toISOString(),
+		dateRange: dated.length ? { from: dated[0].label, to: dated[dated.length - 1].label } : null,
+		locations: [...locations],
+		timeZone: dateSettings.timeZone,
+		filters: options.filters ?? { search: '', source: '' },
+		methodLabel: methodColumn?.label ?? null,
+		rows: rows.map((tx) => ({
+			date: tx.isoDate
+				? formatTransactionDate(tx.isoDate, dateSettings.displayFormat, dateSettings)
+				: tx.date,
+			customer: tx.customer && tx.customer !== 'N/A' ? formatCustomer(tx.customer) : '',
+			amount: tx.amount,
+			method: methodOf(tx),
+			transactionId: tx.transactionId === 'N/A' ? '' : tx.transactionId.trim()
+		})),
+		byDay: days,
+		byMethod: methods,
+		total: summarize('Total', rows),
+		unparsed: rows.filter((tx) => !tx.money).length
+	};
+}
+
+/**
+ * Hand a report to the report page. Session storage stays in memory, like the shared view state.
+ */
+export async function savePrintReport(report: PrintReport): Promise<void> {
+	await chrome.storage.session.set({ [PRINT_REPORT_KEY]: report });
+}
+
+export async function loadPrintReport(): Promise<PrintReport | null> {
+	const items = await chrome.storage.session.get(PRINT_REPORT_KEY);
+	return items[PRINT_REPORT_KEY] ?? null;
+}
+
+export async function clearPrintReport(): Promise<void> {
+	await chrome.storage.session.remove(PRINT_REPORT_KEY);
+}
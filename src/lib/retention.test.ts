@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { transactionLedger } from './ledger';
+import type { StorageAreaLike } from './migrations';
+import { getPurgeLog, runRetention } from './retention';
+import { DEFAULT_SETTINGS, settingsStore } from './settings';
+import { snapshotStore } from './snapshots';
+import { transactionCache } from './storage';
+import { VaultLockedError } from './vault';
+import { memoryStorage } from '../test-storage';
+
+describe('runRetention', () => {
+	const now = new Date('2024-05-31T00:00:00Z').getTime();
+	let storage: StorageAreaLike;
+
+	beforeEach(() => {
+		storage = memoryStorage().storage;
+		vi.useFakeTimers({ now });
+		vi.spyOn(transactionCache, 'cleanup').mockResolvedValue();
+		vi.spyOn(transactionCache, 'getStats')
+			.mockResolvedValueOnce({ persistentEntries: 3 } as never)
+			.mockResolvedValueOnce({ persistentEntries: 1 } as never);
+	});
+
+	afterEach(() => {
+		vi.useRealTimers();
+		vi.restoreAllMocks();
+	});
+
+	it('only cleans up the cache when retention is off', async () => {
+		vi.spyOn(settingsStore, 'load').mockResolvedValue(DEFAULT_SETTINGS);
+		const purge = vi.spyOn(transactionLedger, 'purgeOlderThan');
+
+		const entry = await runRetention('manual', storage);
+		expect(entry).toMatchObject({ retentionDays: 0, cacheEntriesRemoved: 2, deleted: 0 });
+		expect(purge).not.toHaveBeenCalled();
+		expect(await getPurgeLog(storage)).toEqual([entry]);
+	});
+
+	it('purges history and snapshots older than the retention period', async () => {
+		vi.spyOn(settingsStore, 'load').mockResolvedValue({
+			...DEFAULT_SETTINGS,
+			retentionDays: 30,
+			retentionAction: 'anonymize'
+		});
+		const purge = vi
+			.spyOn(transactionLedger, 'purgeOlderThan')
+			.mockResolvedValue({ deleted: 0, anonymized: 4, skipped: 1 });
+		vi.spyOn(snapshotStore, 'purgeOlderThan').mockRejectedValue(new VaultLockedError());
+
+		const entry = await runRetention('schedule', storage);
+		expect(purge).toHaveBeenCalledWith(now - 30 * 24 * 60 * 60 * 1000, 'anonymize');
+		expect(entry).toMatchObject({ anonymized: 4, skipped: 1, snapshotsRemoved: 0 });
+		expect(entry.error).toBeUndefined();
+	});
+
+	it('logs failures instead of throwing', async () => {
+		vi.spyOn(settingsStore, 'load').mockResolvedValue({ ...DEFAULT_SETTINGS, retentionDays: 7 });
+		vi.spyOn(transactionLedger, 'purgeOlderThan').mockRejectedValue(new Error('Disk full'));
+
+		await runRetention('schedule', storage);
+		const [entry] = await getPurgeLog(storage);
+		expect(entry.error).toBe('Disk full');
+	});
+});
@@ -0,0 +1,88 @@
+// Scheduled removal of old customer data, run by the background worker (see background.ts)
+import { transactionLedger } from './ledger';
+import type { StorageAreaLike } from './migrations';
+import { settingsStore, type RetentionAction } from './settings';
+import { snapshotStore } from './snapshots';
+import { transactionCache } from './storage';
+import { VaultLockedError } from './vault';
+
+export const RETENTION_ALARM = 'retention';
+export const RETENTION_PERIOD_MINUTES = 6 * 60;
+
+const LOG_KEY = 'purgeLog';
+const MAX_LOG_ENTRIES = 50;
+const DAY = 24 * 60 * 60 * 1000;
+
+export type PurgeTrigger = 'schedule' | 'manual';
+
+export interface PurgeLogEntry {
+	ranAt: number;
+	trigger: PurgeTrigger;
+	retentionDays: number; // 0 when only the cache was cleaned up
+	action: RetentionAction;
+	deleted: number; // History entries removed
+	anonymized: number; // History entries whose customer details were stripped
+	skipped: number; // Encrypted entries left alone because storage was locked
+	cacheEntriesRemoved: number;
+	snapshotsRemoved: number;
+	error?: string;
+}
+
+export async function getPurgeLog(
+	storage: StorageAreaLike = chrome.storage.local
+): Promise<PurgeLogEntry[]> {
+	const result = await storage.get(LOG_KEY);
+	return Array.isArray(result[LOG_KEY]) ? result[LOG_KEY] : [];
+}
+
+/**
+ * Drop expired cache entries and, when a retention period is set, delete or anonymize
+ * history and snapshots older than it. Every run is appended to the purge log.
+ */
+export async function runRetention(
+	trigger: PurgeTrigger,
+	storage: StorageAreaLike = chrome.storage.local
+): Promise<PurgeLogEntry> {
+	const { retentionDays, retentionAction } = await settingsStore.load();
+	const entry: PurgeLogEntry = {
+		ranAt: Date.now(),
+		trigger,
+		retentionDays,
+		action: retentionAction,
+		deleted: 0,
+		anonymized: 0,
+		skipped: 0,
+		cacheEntriesRemoved: 0,
+		snapshotsRemoved: 0
+	};
+
+	try {
+		const before = (await transactionCache.getStats()).persistentEntries;
+		await transactionCache.cleanup();
+		entry.cacheEntriesRemoved = Math.max(
+			0,
+			before - (await transactionCache.getStats()).persistentEntries
+		);
+
+		if (retentionDays > 0) {
+			const cutoff = entry.ranAt - retentionDays * DAY;
+			const result = await transactionLedger.purgeOlderThan(cutoff, retentionAction);
+			entry.deleted = result.deleted;
+			entry.anonymized = result.anonymized;
+			entry.skipped = result.skipped;
+
+			try {
+				entry.snapshotsRemoved = await snapshotStore.purgeOlderThan(cutoff);
+			} catch (error) {
+				if (!(error instanceof VaultLockedError)) throw error;
+				// Picked up by the next run once storage is unlocked
+			}
+		}
+	} catch (error) {
+		entry.error = error instanceof Error ? error.message : String(error);
+	}
+
+	const log = [...(await getPurgeLog(storage)), entry].slice(-MAX_LOG_ENTRIES);
+	await storage.set({ [LOG_KEY]: log });
+	return entry;
+}
@@ -0,0 +1,332 @@
+export interface FieldSelector {
+	selector: string;
+	index?: number; // Which match inside the container to read (defaults to 0)
+	attribute?: string; // Read this attribute instead of the text content (e.g. 'href')
+}
+
+export interface ExtraFieldSelector extends FieldSelector {
+	label: string; // Column header shown in the table and exports
+}
+
+export interface SelectorProfile {
+	id: string;
+	name: string;
+	version: number; // Bumped every time the profile is saved
+	description?: string;
+	builtIn?: boolean;
+	updatedAt?: number;
+	container: string;
+	fields: {
+		customer: FieldSelector;
+		date: FieldSelector;
+		amount: FieldSelector;
+		transactionId: FieldSelector;
+	};
+	// Additional columns keyed by field name; stored on each transaction's `extra` map
+	extraFields?: Record<string, ExtraFieldSelector>;
+	// Matches the row itself or an element inside it when the row is a refund or void, whose
+	// amount is then negative; a status cell reading "Refund" or "Void" is used when omitted
+	refund?: string;
+	// Optional hints for "extract all pages"; heuristics are used when omitted
+	pagination?: {
+		nextButton?: string;
+		scrollContainer?: string;
+	};
+}
+
+export const DEFAULT_PROFILE_ID = 'paytracker-default';
+
+// Selectors shipped with the extension; used until a custom profile is activated
+export const DEFAULT_SELECTOR_PROFILE: SelectorProfile = {
+	id: DEFAULT_PROFILE_ID,
+	name: 'PayTracker (built-in)',
+	version: 1,
+	description: 'Selectors bundled with this release of the extension',
+	builtIn: true,
+	container: 'div.sc-bMEPZl.fcfTGk',
+	fields: {
+		customer: { selector: "p.sc-kAFUCS.kxJkvp[type='subtitle']", index: 0 },
+		date: { selector: "p.sc-kAFUCS.kxJkvp[type='subtitle']", index: 1 },
+		amount: { selector: "p.sc-dibcMh.bnjRCI[type='success']" },
+		transactionId: { selector: 'a.sc-goYhtw.bhMCZg[href^="https://clover.com/transactions/"]' }
+	},
+	extraFields: {
+		transactionUrl: {
+			label: 'Transaction URL',
+			selector: 'a.sc-goYhtw.bhMCZg[href^="https://clover.com/transactions/"]',
+			attribute: 'href'
+		}
+	}
+};
+
+const REQUIRED_FIELDS = ['customer', 'date', 'amount', 'transactionId'] as const;
+const FIELD_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+/**
+ * Check that a selector string parses, throwing a readable error if not
+ */
+function assertValidSelector(selector: unknown, label: string): void {
+	if (typeof selector !== 'string' || !selector.trim()) {
+		throw new Error(`Selector for "${label}" must be a non-empty string`);
+	}
+	try {
+		document.createDocumentFragment().querySelector(selector);
+	} catch {
+		throw new Error(`Selector for "${label}" is not valid CSS: ${selector}`);
+	}
+}
+
+/**
+ * Validate an untrusted object (e.g. imported JSON) and return it as a profile
+ */
+export function validateSelectorProfile(data: unknown): SelectorProfile {
+	if (!data || typeof data !== 'object') {
+		throw new Error('Selector profile must be a JSON object');
+	}
+
+	const profile = data as Partial<SelectorProfile>;
+	if (typeof profile.id !== 'string' || !profile.id.trim()) {
+		throw new Error('Selector profile is missing an "id"');
+	}
+	if (typeof profile.name !== 'string' || !profile.name.trim()) {
+		throw new Error('Selector profile is missing a "name"');
+	}
+	if (!profile.fields || typeof profile.fields !== 'object') {
+		throw new Error('Selector profile is missing "fields"');
+	}
+
+	assertValidSelector(profile.container, 'container');
+	for (const field of REQUIRED_FIELDS) {
+		const fieldSelector = profile.fields[field];
+		assertValidSelector(fieldSelector?.selector, field);
+		if (fieldSelector.index !== undefined && !Number.isInteger(fieldSelector.index)) {
+			throw new Error(`Index for "${field}" must be an integer`);
+		}
+	}
+
+	const extraFields: Record<string, ExtraFieldSelector> = {};
+	for (const [name, field] of Object.entries(profile.extraFields || {})) {
+		if (!FIELD_NAME_PATTERN.test(name) || (REQUIRED_FIELDS as readonly string[]).includes(name)) {
+			throw new Error(`"${name}" is not a valid extra field name`);
+		}
+		assertValidSelector(field?.selector, name);
+		if (typeof field.label !== 'string' || !field.label.trim()) {
+			throw new Error(`Extra field "${name}" is missing a "label"`);
+		}
+		if (field.attribute !== undefined && typeof field.attribute !== 'string') {
+			throw new Error(`Attribute for "${name}" must be a string`);
+		}
+		extraFields[name] = { ...field, label: field.label.trim() };
+	}
+
+	if (profile.refund !== undefined) {
+		assertValidSelector(profile.refund, 'refund');
+	}
+	if (profile.pagination?.nextButton !== undefined) {
+		assertValidSelector(profile.pagination.nextButton, 'pagination.nextButton');
+	}
+	if (profile.pagination?.scrollContainer !== undefined) {
+		assertValidSelector(profile.pagination.scrollContainer, 'pagination.scrollContainer');
+	}
+
+	return {
+		id: profile.id.trim(),
+		name: profile.name.trim(),
+		version: Number.isInteger(profile.version) ? (profile.version as number) : 1,
+		description: profile.description,
+		updatedAt: profile.updatedAt,
+		container: profile.container as string,
+		fields: {
+			customer: { ...profile.fields.customer },
+			date: { ...profile.fields.date },
+			amount: { ...profile.fields.amount },
+			transactionId: { ...profile.fields.transactionId }
+		},
+		extraFields,
+		refund: profile.refund,
+		pagination: profile.pagination ? { ...profile.pagination } : undefined
+	};
+}
+
+export class SelectorProfileStore {
+	private readonly profilesKey = 'selectorProfiles';
+	private readonly activeKey = 'activeSelectorProfile';
+
+	/**
+	 * Read a value from Chrome storage, falling back to localStorage
+	 */
+	private async read<T>(key: string): Promise<T | null> {
+		try {
+			if (typeof chrome !== 'undefined' && chrome.storage) {
+				const result = await chrome.storage.local.get(key);
+				return result[key] ?? null;
+			}
+			const data = localStorage.getItem(key);
+			return data ? JSON.parse(data) : null;
+		} catch (error) {
+			console.warn('Failed to read selector profiles:', error);
+			return null;
+		}
+	}
+
+	/**
+	 * Write a value to Chrome storage, falling back to localStorage
+	 */
+	private async write(key: string, value: unknown): Promise<void> {
+		if (typeof chrome !== 'undefined' && chrome.storage) {
+			await chrome.storage.local.set({ [key]: value });
+		} else {
+			localStorage.setItem(key, JSON.stringify(value));
+		}
+	}
+
+	/**
+	 * Custom (user-defined) profiles keyed by id
+	 */
+	private async getCustomProfiles(): Promise<Record<string, SelectorProfile>> {
+		return (await this.read<Record<string, SelectorProfile>>(this.profilesKey)) || {};
+	}
+
+	/**
+	 * List the built-in profile followed by all custom profiles
+	 */
+	async list(): Promise<SelectorProfile[]> {
+		const custom = await this.getCustomProfiles();
+		return [DEFAULT_SELECTOR_PROFILE, ...Object.values(custom)];
+	}
+
+	async get(id: string): Promise<SelectorProfile | null> {
+		if (id === DEFAULT_PROFILE_ID) return DEFAULT_SELECTOR_PROFILE;
+		const custom = await this.getCustomProfiles();
+		return custom[id] || null;
+	}
+
+	/**
+	 * Get the profile used for extraction, falling back to the built-in one
+	 */
+	async getActive(): Promise<SelectorProfile> {
+		const activeId = await this.read<string>(this.activeKey);
+		if (activeId) {
+			const profile = await this.get(activeId);
+			if (profile) return profile;
+		}
+		return DEFAULT_SELECTOR_PROFILE;
+	}
+
+	async setActive(id: string): Promise<void> {
+		if (!(await this.get(id))) {
+			throw new Error(`Selector profile "${id}" does not exist`);
+		}
+		await this.write(this.activeKey, id);
+	}
+
+	/**
+	 * Validate and save a custom profile, bumping its version
+	 */
+	async save(data: unknown): Promise<SelectorProfile> {
+		const profile = validateSelectorProfile(data);
+		if (profile.id === DEFAULT_PROFILE_ID) {
+			throw new Error('The built-in profile cannot be overwritten; save it under a new id');
+		}
+
+		const custom = await this.getCustomProfiles();
+		const existing = custom[profile.id];
+		const saved: SelectorProfile = {
+			...profile,
+			version: Math.max(profile.version, existing ? existing.version + 1 : 1),
+			updatedAt: Date.now()
+		};
+
+		custom[profile.id] = saved;
+		await this.write(this.profilesKey, custom);
+		return saved;
+	}
+
+	/**
+	 * Import one profile or an array of profiles from JSON text.
+	 * Profiles older than the stored version of the same id are skipped.
+	 */
+	async importJSON(json: string): Promise<SelectorProfile[]> {
+		let parsed: unknown;
+		try {
+			parsed = JSON.parse(json);
+		} catch {
+			throw new Error('Selector profile import is not valid JSON');
+		}
+
+		const incoming = (Array.isArray(parsed) ? parsed : [parsed]).map(validateSelectorProfile);
+		const custom = await this.getCustomProfiles();
+		const imported: SelectorProfile[] = [];
+
+		for (const profile of incoming) {
+			if (profile.id === DEFAULT_PROFILE_ID) continue;
+			const existing = custom[profile.id];
+			if (existing && existing.version > profile.version) continue;
+
+			custom[profile.id] = { ...profile, updatedAt: Date.now() };
+			imported.push(custom[profile.id]);
+		}
+
+		await this.write(this.profilesKey, custom);
+		return imported;
+	}
+
+	/**
+	 * Custom profiles and the active profile id, for backups
+	 */
+	async getBackup(): Promise<{ profiles: SelectorProfile[]; activeId: string }> {
+		const custom = await this.getCustomProfiles();
+		const activeId = (await this.read<string>(this.activeKey)) || DEFAULT_PROFILE_ID;
+		return { profiles: Object.values(custom), activeId };
+	}
+
+	/**
+	 * Restore profiles from a backup. Merging keeps the newer version of each id;
+	 * replacing drops custom profiles the backup doesn't have.
+	 */
+	async restore(profiles: SelectorProfile[], activeId: string, replace = false): Promise<void> {
+		const custom = replace ? {} : await this.getCustomProfiles();
+		for (const data of profiles) {
+			const profile = validateSelectorProfile(data);
+			if (profile.id === DEFAULT_PROFILE_ID) continue;
+			const existing = custom[profile.id];
+			if (existing && existing.version > profile.version) continue;
+			custom[profile.id] = profile;
+		}
+		await this.write(this.profilesKey, custom);
+
+		const restoredActive = activeId === DEFAULT_PROFILE_ID || custom[activeId];
+		await this.write(this.activeKey, restoredActive ? activeId : DEFAULT_PROFILE_ID);
+	}
+
+	async exportJSON(id: string): Promise<string> {
+		const profile = await this.get(id);
+		if (!profile) {
+			throw new Error(`Selector profile "${id}" does not exist`);
+		}
+		const exportable: SelectorProfile = { ...profile };
+		delete exportable.builtIn;
+		return JSON.stringify(exportable, null, 2);
+	}
+
+	/**
+	 * Delete a custom profile; reverts to the built-in profile if it was active
+	 */
+	async remove(id: string): Promise<void> {
+		if (id === DEFAULT_PROFILE_ID) {
+			throw new Error('The built-in profile cannot be deleted');
+		}
+
+		const custom = await this.getCustomProfiles();
+		delete custom[id];
+		await this.write(this.profilesKey, custom);
+
+		const activeId = await this.read<string>(this.activeKey);
+		if (activeId === id) {
+			await this.write(this.activeKey, DEFAULT_PROFILE_ID);
+		}
+	}
+}
+
+// Create and export a default instance
+export const selectorProfileStore = new SelectorProfileStore();
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SessionSync, type SharedState } from './sessionSync';
+
+// chrome.storage.session that reports writes to onChanged listeners, like the real one
+function memorySession() {
+	const items: Record<string, unknown> = {};
+	const listeners: ((changes: object, area: string) => void)[] = [];
+	const notify = (changes: Record<string, chrome.storage.StorageChange>) =>
+		listeners.forEach((listener) => listener(changes, 'session'));
+
+	return {
+		items,
+		listeners,
+		area: {
+			async get(keys: string[]) {
+				return Object.fromEntries(
+					keys.filter((key) => key in items).map((key) => [key, items[key]])
+				);
+			},
+			async set(values: Record<string, unknown>) {
+				const copy = structuredClone(values);
+				Object.assign(items, copy);
+				notify(
+					Object.fromEntries(Object.entries(copy).map(([key, value]) => [key, { newValue: value }]))
+				);
+			},
+			async remove(keys: string[]) {
+				keys.forEach((key) => delete items[key]);
+				notify(Object.fromEntries(keys.map((key) => [key, { newValue: undefined }])));
+			}
+		}
+	};
+}
+
+describe('SessionSync', () => {
+	let session: ReturnType<typeof memorySession>;
+
+	const mockChrome = globalThis.chrome;
+
+	beforeEach(() => {
+		session = memorySession();
+		Object.assign(globalThis, {
+			chrome: {
+				storage: {
+					session: session.area,
+					onChanged: { addListener: (listener: () => void) => session.listeners.push(listener) }
+				}
+			}
+		});
+	});
+
+	afterEach(() => {
+		Object.assign(globalThis, { chrome: mockChrome });
+	});
+
+	it('delivers changes to other views but not back to the writer', async () => {
+		const popup = new SessionSync();
+		const detached = new SessionSync();
+		const popupHeard = vi.fn();
+		const detachedHeard = vi.fn();
+		popup.subscribe(popupHeard);
+		detached.subscribe(detachedHeard);
+
+		await popup.publish({ searchTerm: 'jane', scrollTop: 120 });
+
+		expect(popupHeard).not.toHaveBeenCalled();
+		expect(detachedHeard).toHaveBeenCalledWith({ searchTerm: 'jane', scrollTop: 120 });
+		expect(await new SessionSync().read()).toEqual({ searchTerm: 'jane', scrollTop: 120 });
+	});
+
+	it('does not echo a value it just received', async () => {
+		const popup = new SessionSync();
+		const detached = new SessionSync();
+		const popupHeard = vi.fn();
+		popup.subscribe(popupHeard);
+
+		await popup.publish({ selectedId: 'tx-1' });
+		await detached.publish({ selectedId: 'tx-1', sourceFilter: '' });
+
+		expect(popupHeard).toHaveBeenCalledWith({ sourceFilter: '' });
+		expect(popupHeard).not.toHaveBeenCalledWith(expect.objectContaining({ selectedId: 'tx-1' }));
+	});
+
+	it('resets every view when cleared', async () => {
+		const popup = new SessionSync();
+		const heard: Partial<SharedState>[] = [];
+		popup.subscribe((patch) => heard.push(patch));
+
+		await popup.publish({ searchTerm: 'jane' });
+		await popup.clear();
+
+		expect(heard.at(-1)).toMatchObject({ transactions: [], searchTerm: '', scrollTop: 0 });
+		expect(session.items).toEqual({});
+	});
+});
@@ -0,0 +1,118 @@
+// View state shared live between the popup and the detached window. Each field has its own
+// chrome.storage.session key, so scrolling or typing doesn't rewrite the transaction list, and
+// views hear about each other's changes through chrome.storage.onChanged instead of polling.
+// Session storage is held in memory only and isn't readable from content scripts.
+import type { Transaction } from './transactionScraper';
+
+export interface SharedState {
+	transactions: Transaction[];
+	searchTerm: string;
+	sourceFilter: string;
+	selectedId: string | null; // transactionId of the highlighted row
+	scrollTop: number; // Of the transactions table
+}
+
+interface SharedValue {
+	value: unknown;
+	origin: string; // viewId of the window that wrote it
+	at: number;
+}
+
+export const EMPTY_SHARED_STATE: SharedState = {
+	transactions: [],
+	searchTerm: '',
+	sourceFilter: '',
+	selectedId: null,
+	scrollTop: 0
+};
+
+const KEY_PREFIX = 'shared_';
+const FIELDS = Object.keys(EMPTY_SHARED_STATE) as (keyof SharedState)[];
+
+export class SessionSync {
+	readonly viewId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+	private current: Partial<Record<keyof SharedState, unknown>> = {};
+	private listeners = new Set<(patch: Partial<SharedState>) => void>();
+
+	constructor() {
+		if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+			chrome.storage.onChanged.addListener((changes, area) => {
+				if (area !== 'session') return;
+
+				const patch: Partial<Record<keyof SharedState, unknown>> = {};
+				for (const field of FIELDS) {
+					const change = changes[KEY_PREFIX + field];
+					if (!change) continue;
+					const next: SharedValue | undefined = change.newValue;
+					if (next?.origin === this.viewId) continue; // Our own write coming back
+					patch[field] = next ? next.value : EMPTY_SHARED_STATE[field];
+				}
+				if (Object.keys(patch).length === 0) return;
+
+				Object.assign(this.current, patch);
+				this.listeners.forEach((listener) => listener(patch as Partial<SharedState>));
+			});
+		}
+	}
+
+	private get area(): chrome.storage.StorageArea | null {
+		return typeof chrome !== 'undefined' && chrome.storage?.session ? chrome.storage.session : null;
+	}
+
+	/**
+	 * Current shared state; fields no view has written yet are left out
+	 */
+	async read(): Promise<Partial<SharedState>> {
+		if (!this.area) return {};
+		try {
+			const items = await this.area.get(FIELDS.map((field) => KEY_PREFIX + field));
+			for (const field of FIELDS) {
+				const stored: SharedValue | undefined = items[KEY_PREFIX + field];
+				if (stored) this.current[field] = stored.value;
+			}
+			return { ...this.current } as Partial<SharedState>;
+		} catch (error) {
+			console.warn('Failed to read shared view state:', error);
+			return {};
+		}
+	}
+
+	/**
+	 * Share changed fields with the other views. Values equal to what's already shared are
+	 * skipped, so applying a remote change doesn't echo it back. Transactions are always sent.
+	 */
+	async publish(patch: Partial<SharedState>): Promise<void> {
+		const items: Record<string, SharedValue> = {};
+		for (const field of Object.keys(patch) as (keyof SharedState)[]) {
+			const value = patch[field];
+			if (field !== 'transactions' && this.current[field] === value) continue;
+			this.current[field] = value;
+			items[KEY_PREFIX + field] = { value, origin: this.viewId, at: Date.now() };
+		}
+		if (!this.area || Object.keys(items).length === 0) return;
+
+		try {
+			await this.area.set(items);
+		} catch (error) {
+			console.warn('Failed to share view state:', error);
+		}
+	}
+
+	/**
+	 * Listen for changes made by other views
+	 */
+	subscribe(listener: (patch: Partial<SharedState>) => void): () => void {
+		this.listeners.add(listener);
+		return () => this.listeners.delete(listener);
+	}
+
+	/**
+	 * Forget the shared state. Every view, this one included, is told to reset.
+	 */
+	async clear(): Promise<void> {
+		this.current = {};
+		await this.area?.remove(FIELDS.map((field) => KEY_PREFIX + field));
+	}
+}
+
+export const sessionSync = new SessionSync();
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { get } from 'svelte/store';
+import { DEFAULT_SETTINGS, SettingsStore, resolveSettings, validateSetting } from './settings';
+
+// chrome.storage.sync backed by a plain object
+function memorySync() {
+	const items: Record<string, unknown> = {};
+	return {
+		items,
+		async get(keys: string[]) {
+			return Object.fromEntries(keys.filter((key) => key in items).map((key) => [key, items[key]]));
+		},
+		async set(values: Record<string, unknown>) {
+			Object.assign(items, structuredClone(values));
+		}
+	};
+}
+
+describe('settings', () => {
+	let sync: ReturnType<typeof memorySync>;
+	let addListener: ReturnType<typeof vi.fn>;
+
+	const mockChrome = globalThis.chrome;
+
+	beforeEach(() => {
+		sync = memorySync();
+		addListener = vi.fn();
+		Object.assign(globalThis, { chrome: { storage: { sync, onChanged: { addListener } } } });
+		localStorage.clear();
+	});
+
+	afterEach(() => {
+		Object.assign(globalThis, { chrome: mockChrome });
+	});
+
+	it('validates values and falls back to defaults for bad stored ones', () => {
+		expect(() => validateSetting('theme', 'blue')).toThrow('Unknown theme');
+		expect(() => validateSetting('compactMode', 'yes')).toThrow('must be true or false');
+		expect(() =>
+			validateSetting('dateSettings', { ...DEFAULT_SETTINGS.dateSettings, timeZone: 'Mars/Base' })
+		).toThrow('Unknown locale or time zone');
+
+		const settings = resolveSettings({ theme: 'dark', compactMode: 'yes', extractAllPages: true });
+		expect(settings.theme).toBe('dark');
+		expect(settings.compactMode).toBe(DEFAULT_SETTINGS.compactMode);
+		expect(settings.extractAllPages).toBe(true);
+	});
+
+	it('saves to sync storage and follows changes from other windows', async () => {
+		const store = new SettingsStore();
+		await store.load();
+		await store.set('compactMode', false);
+		expect(sync.items.compactMode).toBe(false);
+		expect(get(store).compactMode).toBe(false);
+
+		const listener = addListener.mock.calls[0][0];
+		listener({ theme: { newValue: 'dark' } }, 'sync');
+		listener({ theme: { newValue: 'light' } }, 'local');
+		expect(get(store).theme).toBe('dark');
+	});
+
+	it('reads storage once for get() and serves later calls from the store', async () => {
+		sync.items.theme = 'dark';
+		const read = vi.spyOn(sync, 'get');
+		const store = new SettingsStore();
+
+		expect(await store.get('theme')).toBe('dark');
+		localStorage.setItem('theme', JSON.stringify('light'));
+		expect(await store.get('compactMode')).toBe(DEFAULT_SETTINGS.compactMode);
+		expect(await store.get('theme')).toBe('dark');
+		expect(read).toHaveBeenCalledTimes(1);
+		expect(localStorage.getItem('theme')).not.toBeNull();
+	});
+
+	it('puts the old value back and rejects when storage refuses a write', async () => {
+		const store = new SettingsStore();
+		await store.load();
+		vi.spyOn(sync, 'set').mockRejectedValueOnce(new Error('QUOTA_BYTES_PER_ITEM quota exceeded'));
+
+		await expect(store.set('compactMode', false)).rejects.toThrow(
+			'Couldn\'t save setting "compactMode": QUOTA_BYTES_PER_ITEM quota exceeded'
+		);
+		expect(get(store).compactMode).toBe(DEFAULT_SETTINGS.compactMode);
+		expect(sync.items.compactMode).toBeUndefined();
+	});
+
+	it('moves settings saved in localStorage by older versions into sync storage', async () => {
+		localStorage.setItem('theme', JSON.stringify('dark'));
+		localStorage.setItem('extractAllPages', JSON.stringify(true));
+		sync.items.extractAllPages = false;
+
+		const settings = await new SettingsStore().load();
+		expect(settings.theme).toBe('dark');
+		expect(settings.extractAllPages).toBe(false); // Sync wins over the stale local copy
+		expect(sync.items.theme).toBe('dark');
+		expect(localStorage.getItem('theme')).toBeNull();
+	});
+});
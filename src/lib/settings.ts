@@ -0,0 +1,236 @@
+// User preferences, kept in chrome.storage.sync so they follow the user between the popup,
+// the detached window and their other machines
+import { get as readStore, writable, type Readable } from 'svelte/store';
+import {
+	DEFAULT_ACCOUNTING_SETTINGS,
+	validateAccountingSettings,
+	type AccountingSettings
+} from './accountingExport';
+import { DEFAULT_DATE_SETTINGS, validateDateSettings, type DateSettings } from './dates';
+import {
+	DEFAULT_EXPORT_PRESET_ID,
+	validateExportPresets,
+	type ExportPreset
+} from './exportColumns';
+
+export type Theme = 'light' | 'dark' | 'system';
+
+// What the retention job does with transactions older than the retention period
+export type RetentionAction = 'delete' | 'anonymize';
+
+export interface Settings {
+	compactMode: boolean;
+	theme: Theme;
+	extractAllPages: boolean;
+	dateSettings: DateSettings;
+	retentionDays: number; // 0 keeps transactions indefinitely
+	retentionAction: RetentionAction;
+	exportPresets: ExportPreset[]; // User-defined; the built-in ones live in exportColumns.ts
+	exportPresetId: string;
+	accounting: AccountingSettings; // Accounts and OFX details for the IIF and OFX exports
+}
+
+export const DEFAULT_SETTINGS: Settings = {
+	compactMode: true,
+	theme: 'system',
+	extractAllPages: false,
+	dateSettings: DEFAULT_DATE_SETTINGS,
+	retentionDays: 0,
+	retentionAction: 'anonymize',
+	exportPresets: [],
+	exportPresetId: DEFAULT_EXPORT_PRESET_ID,
+	accounting: DEFAULT_ACCOUNTING_SETTINGS
+};
+
+const THEMES: Theme[] = ['light', 'dark', 'system'];
+const RETENTION_ACTIONS: RetentionAction[] = ['delete', 'anonymize'];
+const MAX_RETENTION_DAYS = 3650;
+
+function expectBoolean(key: string) {
+	return (value: unknown): boolean => {
+		if (typeof value !== 'boolean') throw new Error(`Setting "${key}" must be true or false`);
+		return value;
+	};
+}
+
+const validators: { [K in keyof Settings]: (value: unknown) => Settings[K] } = {
+	compactMode: expectBoolean('compactMode'),
+	extractAllPages: expectBoolean('extractAllPages'),
+	theme: (value) => {
+		if (!THEMES.includes(value as Theme)) throw new Error(`Unknown theme "${value}"`);
+		return value as Theme;
+	},
+	dateSettings: validateDateSettings,
+	retentionDays: (value) => {
+		if (
+			!Number.isInteger(value) ||
+			(value as number) < 0 ||
+			(value as number) > MAX_RETENTION_DAYS
+		) {
+			throw new Error(`Retention must be a whole number of days up to ${MAX_RETENTION_DAYS}`);
+		}
+		return value as number;
+	},
+	retentionAction: (value) => {
+		if (!RETENTION_ACTIONS.includes(value as RetentionAction)) {
+			throw new Error(`Unknown retention action "${value}"`);
+		}
+		return value as RetentionAction;
+	},
+	exportPresets: validateExportPresets,
+	exportPresetId: (value) => {
+		if (typeof value !== 'string' || !value) throw new Error('Export preset id must be a string');
+		return value;
+	},
+	accounting: validateAccountingSettings
+};
+
+const SETTING_KEYS = Object.keys(DEFAULT_SETTINGS) as (keyof Settings)[];
+
+/**
+ * Validate one setting, throwing a readable error if the value is not allowed
+ */
+export function validateSetting<K extends keyof Settings>(key: K, value: unknown): Settings[K] {
+	if (!(key in validators)) throw new Error(`Unknown setting "${key}"`);
+	return validators[key](value);
+}
+
+/**
+ * Build a full settings object from stored values; invalid or missing ones fall back to defaults
+ */
+export function resolveSettings(stored: Record<string, unknown>): Settings {
+	const settings: Record<string, unknown> = { ...DEFAULT_SETTINGS };
+	for (const key of SETTING_KEYS) {
+		if (stored[key] === undefined) continue;
+		try {
+			settings[key] = validateSetting(key, stored[key]);
+		} catch (error) {
+			console.warn(`Ignoring stored setting "${key}":`, error);
+		}
+	}
+	return settings as unknown as Settings;
+}
+
+export class SettingsStore implements Readable<Settings> {
+	private store = writable<Settings>({ ...DEFAULT_SETTINGS });
+	readonly subscribe = this.store.subscribe;
+	// First load; the store stays current after it through set() and onChanged
+	private loaded: Promise<Settings> | null = null;
+
+	constructor() {
+		// Settings changed in another window or synced from another machine
+		if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+			chrome.storage.onChanged.addListener((changes, area) => {
+				if (area !== 'sync') return;
+				const changed = SETTING_KEYS.filter((key) => key in changes);
+				if (changed.length === 0) return;
+
+				this.store.update((current) => {
+					const stored: Record<string, unknown> = { ...current };
+					for (const key of changed) stored[key] = changes[key].newValue;
+					return resolveSettings(stored);
+				});
+			});
+		}
+	}
+
+	private get area(): chrome.storage.StorageArea | null {
+		return typeof chrome !== 'undefined' && chrome.storage?.sync ? chrome.storage.sync : null;
+	}
+
+	/**
+	 * Read stored settings, falling back to localStorage outside the extension
+	 */
+	private async read(): Promise<Record<string, unknown>> {
+		try {
+			if (this.area) return await this.area.get(SETTING_KEYS);
+			return this.readLocal();
+		} catch (error) {
+			console.warn('Failed to read settings:', error);
+			return {};
+		}
+	}
+
+	private readLocal(): Record<string, unknown> {
+		const stored: Record<string, unknown> = {};
+		for (const key of SETTING_KEYS) {
+			const data = localStorage.getItem(key);
+			if (data === null) continue;
+			try {
+				stored[key] = JSON.parse(data);
+			} catch {
+				// Not JSON; treat as unset
+			}
+		}
+		return stored;
+	}
+
+	/**
+	 * Move values saved in page localStorage by earlier versions into sync storage
+	 */
+	private async adoptLegacy(stored: Record<string, unknown>): Promise<Record<string, unknown>> {
+		if (!this.area || typeof localStorage === 'undefined') return stored;
+
+		const legacy = this.readLocal();
+		const adopted: Record<string, unknown> = {};
+		for (const key of SETTING_KEYS) {
+			if (stored[key] === undefined && legacy[key] !== undefined && legacy[key] !== null) {
+				adopted[key] = legacy[key];
+			}
+		}
+		if (Object.keys(adopted).length > 0) {
+			await this.area.set(adopted);
+		}
+		SETTING_KEYS.forEach((key) => localStorage.removeItem(key));
+		return { ...stored, ...adopted };
+	}
+
+	/**
+	 * Load settings from storage into the store
+	 */
+	async load(): Promise<Settings> {
+		let stored = await this.read();
+		try {
+			stored = await this.adoptLegacy(stored);
+		} catch (error) {
+			console.warn('Failed to migrate legacy settings:', error);
+		}
+		const settings = resolveSettings(stored);
+		this.store.set(settings);
+		this.loaded ??= Promise.resolve(settings);
+		return settings;
+	}
+
+	/**
+	 * One setting, loading storage on first use only
+	 */
+	async get<K extends keyof Settings>(key: K): Promise<Settings[K]> {
+		this.loaded ??= this.load();
+		await this.loaded;
+		return readStore(this.store)[key];
+	}
+
+	/**
+	 * Validate and save one setting. The store updates immediately and goes back to the
+	 * previous value if storage refuses the write (e.g. the sync quota or rate limit).
+	 */
+	async set<K extends keyof Settings>(key: K, value: Settings[K]): Promise<void> {
+		const valid = validateSetting(key, value);
+		const previous = readStore(this.store)[key];
+		this.store.update((current) => ({ ...current, [key]: valid }));
+
+		try {
+			if (this.area) {
+				await this.area.set({ [key]: valid });
+			} else {
+				localStorage.setItem(key, JSON.stringify(valid));
+			}
+		} catch (error) {
+			this.store.update((current) => ({ ...current, [key]: previous }));
+			const reason = error instanceof Error ? error.message : String(error);
+			throw new Error(`Couldn't save setting "${key}": ${reason}`);
+		}
+	}
+}
+
+export const settingsStore = new SettingsStore();
@@ -0,0 +1,84 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { diffSnapshots, summarizeDiff, SnapshotStore } from './snapshots';
+import type { Transaction } from './transactionScraper';
+
+const row = (transactionId: string, fields: Partial<Transaction> = {}): Transaction => ({
+	customer: 'Jane Doe',
+	date: '05/01/2024',
+	amount: '$10.00',
+	transactionId,
+	...fields
+});
+
+describe('diffSnapshots', () => {
+	it('marks rows as new, changed or removed', () => {
+		const previous = [row('A'), row('B'), row('C', { extra: { status: 'Pending' } })];
+		const current = [
+			row('A'),
+			row('B', { amount: '$12.00' }),
+			row('C', { extra: { status: 'Paid' } }),
+			row('D')
+		];
+		const diff = diffSnapshots(previous, current, 1700000000000);
+
+		expect(diff.changes.get('D')?.kind).toBe('new');
+		expect(diff.changes.get('B')).toMatchObject({ kind: 'changed', fields: ['amount'] });
+		expect(diff.changes.get('C')?.fields).toEqual(['status']);
+		expect(diff.changes.has('A')).toBe(false);
+		expect(summarizeDiff(diff)).toBe('+1 new, 2 changed');
+
+		const shrunk = diffSnapshots(current, [row('A')]);
+		expect(shrunk.removed.map((tx) => tx.transactionId)).toEqual(['B', 'C', 'D']);
+		expect(summarizeDiff(shrunk)).toBe('3 removed');
+	});
+
+	it('ignores relative dates that drift between extractions', () => {
+		const diff = diffSnapshots(
+			[row('A', { date: '2 hours ago' })],
+			[row('A', { date: '3 hours ago' })]
+		);
+		expect(diff.changes.size).toBe(0);
+		expect(summarizeDiff(diff)).toBe('');
+	});
+});
+
+describe('SnapshotStore', () => {
+	const mockChrome = globalThis.chrome;
+	const items: Record<string, unknown> = {};
+
+	beforeEach(() => {
+		for (const key of Object.keys(items)) delete items[key];
+		const local = {
+			async get(key: string) {
+				return key in items ? { [key]: structuredClone(items[key]) } : {};
+			},
+			async set(values: Record<string, unknown>) {
+				Object.assign(items, structuredClone(values));
+			}
+		};
+		Object.assign(globalThis, { chrome: { storage: { local } } });
+	});
+
+	afterEach(() => {
+		Object.assign(globalThis, { chrome: mockChrome });
+	});
+
+	it('compares each page with its previous extraction', async () => {
+		const store = new SnapshotStore();
+		const source = (url: string) => ({ tabId: 1, url, title: url });
+
+		const first = await store.record([row('A', { source: source('https://a') })]);
+		expect(first.comparedAt).toBeNull();
+
+		await store.record([row('X', { source: source('https://b') })]);
+		const rows = [
+			row('A', { source: source('https://a') }),
+			row('B', { source: source('https://a') })
+		];
+		const second = await store.record(rows);
+		expect(summarizeDiff(second)).toBe('+1 new');
+
+		expect(summarizeDiff((await store.latestDiff(rows))!)).toBe('+1 new');
+		expect(await store.latestDiff([rows[0]])).toBeNull();
+	});
+});
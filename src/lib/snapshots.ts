@@ -0,0 +1,269 @@
+// The rows each extraction found on a page, and what changed since the extraction before it
+import { transactionKey, type Transaction } from './transactionScraper';
+import { vault, type Reprotector } from './vault';
+
+export type ChangeKind = 'new' | 'changed' | 'removed';
+
+export interface Snapshot {
+	page: string; // Source page URL
+	takenAt: number;
+	transactions: Transaction[];
+}
+
+export interface RowChange {
+	kind: ChangeKind;
+	fields: string[]; // What differs for 'changed' rows, e.g. ['amount', 'customer']
+	previous?: Transaction; // The row as the earlier snapshot had it
+}
+
+export interface SnapshotDiff {
+	changes: Map<string, RowChange>; // Keyed by transactionKey
+	removed: Transaction[]; // Rows only the earlier snapshot had
+	added: number;
+	changed: number;
+	comparedAt: number | null; // When the earlier snapshot was taken; null when there was none
+}
+
+// Relative dates like "2 hours ago" drift between extractions, so they're never compared
+const DRIFTING_DATE = /\bago\b|^(just )?now$/i;
+
+/**
+ * Field names that differ between two versions of the same row
+ */
+export function changedFields(before: Transaction, after: Transaction): string[] {
+	const fields: string[] = [];
+	if (before.customer !== after.customer) fields.push('customer');
+	if (before.amount !== after.amount) fields.push('amount');
+
+	const drifting = DRIFTING_DATE.test(before.date) || DRIFTING_DATE.test(after.date);
+	if (!drifting) {
+		const dateBefore = before.isoDate ?? before.date;
+		const dateAfter = after.isoDate ?? after.date;
+		if (dateBefore !== dateAfter) fields.push('date');
+	}
+
+	const extraKeys = new Set([
+		...Object.keys(before.extra || {}),
+		...Object.keys(after.extra || {})
+	]);
+	for (const key of extraKeys) {
+		if ((before.extra?.[key] ?? '') !== (after.extra?.[key] ?? '')) fields.push(key);
+	}
+	return fields;
+}
+
+/**
+ * Compare two extractions of the same page row by row
+ */
+export function diffSnapshots(
+	previous: Transaction[] | null,
+	current: Transaction[],
+	comparedAt: number | null = null
+): SnapshotDiff {
+	const diff: SnapshotDiff = {
+		changes: new Map(),
+		removed: [],
+		added: 0,
+		changed: 0,
+		comparedAt: previous ? comparedAt : null
+	};
+	if (!previous) return diff;
+
+	const before = new Map(previous.map((tx) => [transactionKey(tx), tx]));
+	const seen = new Set<string>();
+
+	for (const tx of current) {
+		const key = transactionKey(tx);
+		seen.add(key);
+		const old = before.get(key);
+		if (!old) {
+			diff.changes.set(key, { kind: 'new', fields: [] });
+			diff.added++;
+			continue;
+		}
+		const fields = changedFields(old, tx);
+		if (fields.length > 0) {
+			diff.changes.set(key, { kind: 'changed', fields, previous: old });
+			diff.changed++;
+		}
+	}
+
+	for (const [key, tx] of before) {
+		if (seen.has(key)) continue;
+		diff.changes.set(key, { kind: 'removed', fields: [], previous: tx });
+		diff.removed.push(tx);
+	}
+	return diff;
+}
+
+/**
+ * Merge per-page diffs into one for a table showing several pages
+ */
+export function mergeDiffs(diffs: SnapshotDiff[]): SnapshotDiff {
+	const merged = diffSnapshots(null, []);
+	for (const diff of diffs) {
+		diff.changes.forEach((change, key) => merged.changes.set(key, change));
+		merged.removed.push(...diff.removed);
+		merged.added += diff.added;
+		merged.changed += diff.changed;
+		if (diff.comparedAt !== null) {
+			merged.comparedAt = Math.max(merged.comparedAt ?? 0, diff.comparedAt);
+		}
+	}
+	return merged;
+}
+
+/**
+ * "+4 new, 1 changed, 1 removed", or an empty string when nothing changed
+ */
+export function summarizeDiff(diff: SnapshotDiff): string {
+	const parts: string[] = [];
+	if (diff.added > 0) parts.push(`+${diff.added} new`);
+	if (diff.changed > 0) parts.push(`${diff.changed} changed`);
+	if (diff.removed.length > 0) parts.push(`${diff.removed.length} removed`);
+	return parts.join(', ');
+}
+
+/**
+ * Rows grouped by the page they were extracted from
+ */
+function groupByPage(transactions: Transaction[]): Map<string, Transaction[]> {
+	const pages = new Map<string, Transaction[]>();
+	for (const tx of transactions) {
+		const page = tx.source?.url || 'default';
+		pages.set(page, [...(pages.get(page) || []), tx]);
+	}
+	return pages;
+}
+
+function sameRows(a: Transaction[], b: Transaction[]): boolean {
+	const keys = new Set(a.map(transactionKey));
+	return a.length === b.length && b.every((tx) => keys.has(transactionKey(tx)));
+}
+
+export class SnapshotStore {
+	private readonly storageKey = 'paytracker_snapshots';
+	private readonly perPage = 2; // The latest extraction and the one it's compared with
+	private readonly maxPages = 10;
+
+	/**
+	 * Read the stored value as is (possibly encrypted), falling back to localStorage
+	 */
+	private async readStored(): Promise<unknown> {
+		try {
+			if (typeof chrome !== 'undefined' && chrome.storage) {
+				const result = await chrome.storage.local.get(this.storageKey);
+				return result[this.storageKey] ?? null;
+			}
+			const data = localStorage.getItem(this.storageKey);
+			return data ? JSON.parse(data) : null;
+		} catch (error) {
+			console.warn('Failed to read snapshots:', error);
+			return null;
+		}
+	}
+
+	private async writeStored(value: unknown): Promise<void> {
+		if (typeof chrome !== 'undefined' && chrome.storage) {
+			await chrome.storage.local.set({ [this.storageKey]: value });
+		} else {
+			localStorage.setItem(this.storageKey, JSON.stringify(value));
+		}
+	}
+
+	/**
+	 * Snapshots keyed by page. Throws VaultLockedError while locked.
+	 */
+	private async read(): Promise<Record<string, Snapshot[]>> {
+		const stored = await this.readStored();
+		return stored ? ((await vault.reveal(stored)) as Record<string, Snapshot[]>) : {};
+	}
+
+	private async write(pages: Record<string, Snapshot[]>): Promise<void> {
+		await this.writeStored(await vault.protect(pages));
+	}
+
+	/**
+	 * Store an extraction as the latest snapshot of each page it came from and
+	 * compare it with the one before. Throws VaultLockedError while locked.
+	 */
+	async record(transactions: Transaction[]): Promise<SnapshotDiff> {
+		const pages = await this.read();
+		const takenAt = Date.now();
+		const diffs: SnapshotDiff[] = [];
+
+		for (const [page, rows] of groupByPage(transactions)) {
+			const history = pages[page] || [];
+			const previous = history[history.length - 1];
+			diffs.push(diffSnapshots(previous?.transactions ?? null, rows, previous?.takenAt));
+			pages[page] = [...history, { page, takenAt, transactions: rows }].slice(-this.perPage);
+		}
+
+		// Forget the pages extracted longest ago
+		const byAge = Object.keys(pages).sort(
+			(a, b) => pages[b][pages[b].length - 1].takenAt - pages[a][pages[a].length - 1].takenAt
+		);
+		for (const page of byAge.slice(this.maxPages)) delete pages[page];
+
+		await this.write(pages);
+		return mergeDiffs(diffs);
+	}
+
+	/**
+	 * Diff between the two latest snapshots of the pages these rows came from,
+	 * or null when the rows aren't the latest extraction of those pages
+	 */
+	async latestDiff(transactions: Transaction[]): Promise<SnapshotDiff | null> {
+		const pages = await this.read();
+		const diffs: SnapshotDiff[] = [];
+
+		for (const [page, rows] of groupByPage(transactions)) {
+			const history = pages[page] || [];
+			const latest = history[history.length - 1];
+			if (!latest || !sameRows(latest.transactions, rows)) return null;
+
+			const earlier = history.length > 1 ? history[history.length - 2] : null;
+			diffs.push(diffSnapshots(earlier?.transactions ?? null, rows, earlier?.takenAt));
+		}
+		return mergeDiffs(diffs);
+	}
+
+	/**
+	 * Drop snapshots taken before `cutoff`, returning how many were removed.
+	 * Throws VaultLockedError while locked.
+	 */
+	async purgeOlderThan(cutoff: number): Promise<number> {
+		const pages = await this.read();
+		let removed = 0;
+		for (const [page, history] of Object.entries(pages)) {
+			const kept = history.filter((snapshot) => snapshot.takenAt >= cutoff);
+			removed += history.length - kept.length;
+			if (kept.length > 0) pages[page] = kept;
+			else delete pages[page];
+		}
+		if (removed > 0) await this.write(pages);
+		return removed;
+	}
+
+	async clear(): Promise<void> {
+		if (typeof chrome !== 'undefined' && chrome.storage) {
+			await chrome.storage.local.remove(this.storageKey);
+		} else {
+			localStorage.removeItem(this.storageKey);
+		}
+	}
+
+	/**
+	 * Re-encrypt stored snapshots when encryption is turned on or off or the
+	 * passphrase changes
+	 */
+	async reprotect({ open, seal }: Reprotector): Promise<void> {
+		const stored = await this.readStored();
+		if (stored) await this.writeStored(await seal(await open(stored)));
+	}
+}
+
+// Create and export a default instance
+export const snapshotStore = new SnapshotStore();
+
+vault.register('extraction snapshots', (reprotector) => snapshotStore.reprotect(reprotector));
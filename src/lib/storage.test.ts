@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TransactionCache, type PersistentEntryInfo } from './storage';
+import { replaceLocalStorage } from '../test-storage';
+
+describe('TransactionCache', () => {
+	const now = new Date('2024-05-01T00:00:00Z').getTime();
+	// About 1 KB per cached page once stored
+	const page = (name: string) => [{ customer: name, note: 'x'.repeat(1000) }];
+	let local: ReturnType<typeof replaceLocalStorage>;
+
+	beforeEach(() => {
+		local = replaceLocalStorage();
+		vi.useFakeTimers({ now, toFake: ['Date'] });
+	});
+
+	afterEach(() => {
+		local.restore();
+		vi.useRealTimers();
+	});
+
+	// Pages left in the cache index, whose entries are packed in storage
+	const cachedUrls = () => {
+		const index = local.items.paytracker_cache_index as Record<string, PersistentEntryInfo>;
+		return Object.values(index)
+			.map((info) => info.url)
+			.sort();
+	};
+
+	it('evicts the least recently used page once the byte budget is exceeded', async () => {
+		const cache = new TransactionCache({ maxBytes: 2500 });
+		await cache.set(page('a'), 'https://clover.com/a');
+		vi.advanceTimersByTime(1000);
+		await cache.set(page('b'), 'https://clover.com/b');
+		vi.advanceTimersByTime(1000);
+		await cache.set(page('c'), 'https://clover.com/c');
+
+		expect(cachedUrls()).toEqual(['https://clover.com/b', 'https://clover.com/c']);
+		expect(Object.keys(local.items)).toHaveLength(3); // Two pages and the index
+		expect(await cache.get('https://clover.com/a')).toBeNull();
+		expect((await cache.getStats()).persistentEntries).toBe(2);
+	});
+
+	it('keeps a page that was read recently and evicts the next oldest instead', async () => {
+		const cache = new TransactionCache({ maxBytes: 2500 });
+		await cache.set(page('a'), 'https://clover.com/a');
+		vi.advanceTimersByTime(1000);
+		await cache.set(page('b'), 'https://clover.com/b');
+		vi.advanceTimersByTime(1000);
+		expect(await cache.get('https://clover.com/a')).toEqual(page('a'));
+		vi.advanceTimersByTime(1000);
+		await cache.set(page('c'), 'https://clover.com/c');
+
+		expect(cachedUrls()).toEqual(['https://clover.com/a', 'https://clover.com/c']);
+		expect(await cache.get('https://clover.com/b')).toBeNull();
+	});
+});
@@ -1,3 +1,6 @@
+import { decode, encode, isEnvelope } from './compression';
+import { vault, VaultLockedError, type Reprotector } from './vault';
+
 export interface CacheEntry<T> {
 	data: T;
 	timestamp: number;
@@ -7,19 +10,34 @@ export interface CacheEntry<T> {
 
 export interface StorageOptions {
 	ttl?: number; // Time to live in milliseconds
-	maxEntries?: number; // Maximum number of cached entries
+	maxEntries?: number; // Maximum number of cached entries, in memory and in storage
+	maxBytes?: number; // Byte budget for entries in extension storage
 	enableCompression?: boolean;
 }
 
+// Bookkeeping for one persisted entry, kept in the cache index
+export interface PersistentEntryInfo {
+	key: string; // Storage key
+	url?: string;
+	bytes: number; // Size as counted against the storage quota
+	createdAt: number;
+	lastAccess: number;
+}
+
+type CacheIndex = Record<string, PersistentEntryInfo>;
+
 export class TransactionCache {
 	private memoryCache = new Map<string, CacheEntry<any>>();
 	private readonly defaultTTL = 10 * 60 * 1000; // 10 mins
 	private readonly maxMemoryEntries = 50;
+	private readonly defaultMaxBytes = 2 * 1024 * 1024; // 2 MB of the 10 MB storage.local quota
 	private readonly storageKey = 'paytracker_cache';
+	private readonly indexKey = 'paytracker_cache_index';
 
 	constructor(private options: StorageOptions = {}) {
 		this.options.ttl = options.ttl || this.defaultTTL;
 		this.options.maxEntries = options.maxEntries || this.maxMemoryEntries;
+		this.options.maxBytes = options.maxBytes || this.defaultMaxBytes;
 		this.options.enableCompression = options.enableCompression || false;
 	}
 
@@ -59,30 +77,33 @@ export class TransactionCache {
 	}
 
 	/**
-	 * Compress data using simple string compression
+	 * Serialize an entry into a versioned envelope, compressed when enabled and
+	 * encrypted when the vault is on. Throws VaultLockedError while locked.
 	 */
-	private compress(data: string): string {
-		if (!this.options.enableCompression) return data;
-
-		// Simple RLE compression for JSON data
-		return data.replace(/(.)\1+/g, (match, char) => {
-			if (match.length > 3) {
-				return `${char}${match.length}${char}`;
-			}
-			return match;
-		});
+	private async pack(entry: CacheEntry<unknown>): Promise<unknown> {
+		return vault.protect(await encode(JSON.stringify(entry), this.options.enableCompression));
 	}
 
 	/**
-	 * Decompress data
+	 * Read a stored entry back. Values from before the envelope format used a
+	 * run-length scheme that can't be reversed reliably, so they come back as
+	 * null and the caller drops them. Throws VaultLockedError while locked.
 	 */
-	private decompress(data: string): string {
-		if (!this.options.enableCompression) return data;
+	private async unpack<T>(stored: unknown): Promise<CacheEntry<T> | null> {
+		const envelope = await vault.reveal(stored);
+		if (!isEnvelope(envelope)) return null;
+		return JSON.parse(await decode(envelope));
+	}
 
-		return data.replace(/(.)\d+\1/g, (match, char) => {
-			const count = parseInt(match.slice(1, -1));
-			return char.repeat(count);
-		});
+	/**
+	 * Re-encrypt every persisted entry when encryption is turned on or off or the
+	 * passphrase changes
+	 */
+	async reprotect({ open, seal }: Reprotector): Promise<void> {
+		for (const key of await this.getStorageKeys()) {
+			const stored = await this.getStorage(key);
+			if (stored) await this.setStorage(key, await seal(await open(stored)));
+		}
 	}
 
 	/**
@@ -177,12 +198,21 @@ export class TransactionCache {
 		this.memoryCache.set(key, entry);
 		this.cleanupMemoryCache();
 
-		// Store in persistent storage with multiple keys for reliability
+		// Store in persistent storage and record it in the index
 		try {
-			const compressedData = this.compress(JSON.stringify(entry));
-			await this.setStorage(`${this.storageKey}_${key}`, compressedData);
-			// Also store with a simple key for easy retrieval
-			await this.setStorage(`${this.storageKey}_latest`, compressedData);
+			const storageKey = `${this.storageKey}_${key}`;
+			await this.setStorage(storageKey, await this.pack(entry));
+
+			const index = await this.readIndex();
+			index[storageKey] = {
+				key: storageKey,
+				url: currentUrl,
+				bytes: await this.bytesInUse([storageKey]),
+				createdAt: entry.timestamp,
+				lastAccess: entry.timestamp
+			};
+			await this.evict(index, storageKey);
+			await this.writeIndex(index);
 		} catch (error) {
 			console.error('Failed to cache data:', error);
 		}
@@ -194,32 +224,47 @@ export class TransactionCache {
 	async get<T>(url?: string): Promise<T | null> {
 		const currentUrl = url || (await this.getCurrentUrl());
 
-		// First check memory cache
-		for (const [key, entry] of this.memoryCache.entries()) {
+		// First check memory cache, newest entry first
+		const memoryEntries = Array.from(this.memoryCache.entries()).sort(
+			(a, b) => b[1].timestamp - a[1].timestamp
+		);
+		for (const [key, entry] of memoryEntries) {
 			if ((entry.url === currentUrl || !url) && !this.isExpired(entry)) {
+				await this.touch(`${this.storageKey}_${key}`);
 				return entry.data as T;
 			}
 		}
 
-		// Check persistent storage - look for any valid cache entry if no URL specified
+		// Check persistent storage, most recently used first - any valid entry if no URL specified
 		try {
-			const keys = await this.getStorageKeys();
-			for (const key of keys) {
-				const shouldCheck = url
-					? key.includes(currentUrl.split('?')[0])
-					: key.startsWith(this.storageKey);
-
-				if (shouldCheck) {
-					const compressedData = await this.getStorage(key);
-					if (compressedData) {
-						const entry: CacheEntry<T> = JSON.parse(this.decompress(compressedData));
-
-						if (!this.isExpired(entry) && (entry.url === currentUrl || !url)) {
-							// Add back to memory cache
-							this.memoryCache.set(key.replace(`${this.storageKey}_`, ''), entry);
-							return entry.data;
-						}
-					}
+			const index = await this.readIndex();
+			const candidates = Object.values(index)
+				.filter((info) => !url || info.url === currentUrl)
+				.sort((a, b) => b.lastAccess - a.lastAccess);
+
+			for (const info of candidates) {
+				const stored = await this.getStorage(info.key);
+				let entry: CacheEntry<T> | null = null;
+				try {
+					entry = stored ? await this.unpack<T>(stored) : null;
+				} catch (error) {
+					// Encrypted and locked: a cache miss, not a reason to drop the entry
+					if (error instanceof VaultLockedError) return null;
+				}
+				if (!entry) {
+					// Missing, legacy or corrupt entry
+					await this.removeStorage(info.key);
+					delete index[info.key];
+					await this.writeIndex(index);
+					continue;
+				}
+
+				if (!this.isExpired(entry)) {
+					info.lastAccess = Date.now();
+					await this.writeIndex(index);
+					// Add back to memory cache
+					this.memoryCache.set(info.key.replace(`${this.storageKey}_`, ''), entry);
+					return entry.data;
 				}
 			}
 		} catch (error) {
@@ -229,6 +274,27 @@ export class TransactionCache {
 		return null;
 	}
 
+	/**
+	 * Every persisted entry whatever its age, most recently used first, for backups. Unlike
+	 * get() nothing is touched or removed: unreadable entries are skipped and left for
+	 * cleanup(). Throws VaultLockedError while encrypted storage is locked.
+	 */
+	async getAllEntries<T>(): Promise<CacheEntry<T>[]> {
+		const index = await this.readIndex();
+		const entries: CacheEntry<T>[] = [];
+		for (const info of Object.values(index).sort((a, b) => b.lastAccess - a.lastAccess)) {
+			const stored = await this.getStorage(info.key);
+			let entry: CacheEntry<T> | null = null;
+			try {
+				entry = stored ? await this.unpack<T>(stored) : null;
+			} catch (error) {
+				if (error instanceof VaultLockedError) throw error;
+			}
+			if (entry) entries.push({ ...entry, url: info.url ?? entry.url });
+		}
+		return entries;
+	}
+
 	/**
 	 * Check if data exists and is valid for current URL
 	 */
@@ -251,12 +317,14 @@ export class TransactionCache {
 			keys.forEach((key) => this.memoryCache.delete(key));
 
 			// Clear from persistent storage
-			const storageKeys = await this.getStorageKeys();
-			for (const key of storageKeys) {
-				if (key.includes(url.split('?')[0])) {
-					await this.removeStorage(key);
+			const index = await this.readIndex();
+			for (const info of Object.values(index)) {
+				if (info.url?.split('?')[0] === url.split('?')[0]) {
+					await this.removeStorage(info.key);
+					delete index[info.key];
 				}
 			}
+			await this.writeIndex(index);
 		} else {
 			// Clear all cache
 			this.memoryCache.clear();
@@ -265,20 +333,25 @@ export class TransactionCache {
 			for (const key of keys) {
 				await this.removeStorage(key);
 			}
+			await this.removeStorage(this.indexKey);
 		}
 	}
 
 	/**
-	 * Get cache statistics
+	 * Get cache statistics, with persistent sizes as counted against the storage quota
 	 */
 	async getStats(): Promise<{
 		memoryEntries: number;
 		persistentEntries: number;
-		totalSize: number;
+		totalSize: number; // Approximate bytes held in memory
+		persistentSize: number; // Bytes in extension storage, including the index
+		maxBytes: number;
 		oldestEntry?: Date;
 		newestEntry?: Date;
+		entries: PersistentEntryInfo[]; // Most recently used first
 	}> {
-		const storageKeys = await this.getStorageKeys();
+		const index = await this.readIndex();
+		const entries = Object.values(index).sort((a, b) => b.lastAccess - a.lastAccess);
 		let totalSize = 0;
 		let oldestTimestamp = Infinity;
 		let newestTimestamp = 0;
@@ -290,15 +363,90 @@ export class TransactionCache {
 			newestTimestamp = Math.max(newestTimestamp, entry.timestamp);
 		}
 
+		for (const info of entries) {
+			oldestTimestamp = Math.min(oldestTimestamp, info.createdAt);
+			newestTimestamp = Math.max(newestTimestamp, info.createdAt);
+		}
+
 		return {
 			memoryEntries: this.memoryCache.size,
-			persistentEntries: storageKeys.length,
+			persistentEntries: entries.length,
 			totalSize,
+			persistentSize: await this.bytesInUse([...entries.map((info) => info.key), this.indexKey]),
+			maxBytes: this.options.maxBytes || this.defaultMaxBytes,
 			oldestEntry: oldestTimestamp !== Infinity ? new Date(oldestTimestamp) : undefined,
-			newestEntry: newestTimestamp > 0 ? new Date(newestTimestamp) : undefined
+			newestEntry: newestTimestamp > 0 ? new Date(newestTimestamp) : undefined,
+			entries
 		};
 	}
 
+	/**
+	 * Read the index of persisted entries
+	 */
+	private async readIndex(): Promise<CacheIndex> {
+		return (await this.getStorage(this.indexKey)) || {};
+	}
+
+	private async writeIndex(index: CacheIndex): Promise<void> {
+		await this.setStorage(this.indexKey, index);
+	}
+
+	/**
+	 * Mark a persisted entry as just used
+	 */
+	private async touch(storageKey: string): Promise<void> {
+		const index = await this.readIndex();
+		if (index[storageKey]) {
+			index[storageKey].lastAccess = Date.now();
+			await this.writeIndex(index);
+		}
+	}
+
+	/**
+	 * Bytes used by the given keys, as counted against the storage quota
+	 */
+	private async bytesInUse(keys: string[]): Promise<number> {
+		if (keys.length === 0) return 0;
+		try {
+			if (typeof chrome !== 'undefined' && chrome.storage?.local.getBytesInUse) {
+				return await chrome.storage.local.getBytesInUse(keys);
+			}
+			// localStorage stores UTF-16, two bytes per code unit
+			return keys.reduce(
+				(total, key) => total + (key.length + (localStorage.getItem(key)?.length || 0)) * 2,
+				0
+			);
+		} catch (error) {
+			console.warn('Failed to measure storage usage:', error);
+			return 0;
+		}
+	}
+
+	/**
+	 * Drop least recently used entries until the cache fits both its entry limit
+	 * and its byte budget. The entry named by `keep` (usually the one just
+	 * written) is never evicted.
+	 */
+	private async evict(index: CacheIndex, keep?: string): Promise<void> {
+		const maxEntries = this.options.maxEntries || this.maxMemoryEntries;
+		const maxBytes = this.options.maxBytes || this.defaultMaxBytes;
+		let count = Object.keys(index).length;
+		let bytes = await this.bytesInUse(Object.keys(index));
+
+		const leastRecentFirst = Object.values(index)
+			.filter((info) => info.key !== keep)
+			.sort((a, b) => a.lastAccess - b.lastAccess);
+
+		for (const info of leastRecentFirst) {
+			if (count <= maxEntries && bytes <= maxBytes) break;
+			await this.removeStorage(info.key);
+			delete index[info.key];
+			this.memoryCache.delete(info.key.replace(`${this.storageKey}_`, ''));
+			count--;
+			bytes -= info.bytes;
+		}
+	}
+
 	/**
 	 * Get all storage keys for this cache
 	 */
@@ -306,13 +454,15 @@ export class TransactionCache {
 		try {
 			if (typeof chrome !== 'undefined' && chrome.storage) {
 				const items = await chrome.storage.local.get(null);
-				return Object.keys(items).filter((key) => key.startsWith(this.storageKey));
+				return Object.keys(items).filter(
+					(key) => key.startsWith(this.storageKey) && key !== this.indexKey
+				);
 			} else {
 				// Fallback to localStorage
 				const keys: string[] = [];
 				for (let i = 0; i < localStorage.length; i++) {
 					const key = localStorage.key(i);
-					if (key?.startsWith(this.storageKey)) {
+					if (key?.startsWith(this.storageKey) && key !== this.indexKey) {
 						keys.push(key);
 					}
 				}
@@ -340,31 +490,54 @@ export class TransactionCache {
 	}
 
 	/**
-	 * Cleanup expired entries from both memory and persistent storage
+	 * Cleanup expired entries from both memory and persistent storage, drop keys
+	 * the index doesn't know about (e.g. the old `_latest` copy) and enforce the
+	 * entry limit and byte budget
 	 */
 	async cleanup(): Promise<void> {
 		this.cleanupMemoryCache();
 
+		const index = await this.readIndex();
 		const keys = await this.getStorageKeys();
 		for (const key of keys) {
 			try {
-				const compressedData = await this.getStorage(key);
-				if (compressedData) {
-					const entry = JSON.parse(this.decompress(compressedData));
-					if (this.isExpired(entry)) {
-						await this.removeStorage(key);
-					}
+				const stored = await this.getStorage(key);
+				const entry = stored && index[key] ? await this.unpack(stored) : null;
+				if (!entry || this.isExpired(entry)) {
+					await this.removeStorage(key);
+					delete index[key];
 				}
 			} catch (error) {
-				// If we can't parse the entry, remove it
+				if (error instanceof VaultLockedError) {
+					// Can't read it while locked; go by when it was written
+					if (
+						index[key] &&
+						Date.now() - index[key].createdAt <= (this.options.ttl || this.defaultTTL)
+					) {
+						continue;
+					}
+				}
+				// If we can't decode the entry, remove it
 				await this.removeStorage(key);
+				delete index[key];
 			}
 		}
+
+		// Forget index entries whose data is gone
+		for (const key of Object.keys(index)) {
+			if (!keys.includes(key)) delete index[key];
+		}
+
+		await this.evict(index);
+		await this.writeIndex(index);
 	}
 }
 
 // Create and export a default instance
 export const transactionCache = new TransactionCache({
 	maxEntries: 100,
+	maxBytes: 2 * 1024 * 1024,
 	enableCompression: true
 });
+
+vault.register('transaction cache', (reprotector) => transactionCache.reprotect(reprotector));
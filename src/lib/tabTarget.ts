@@ -0,0 +1,130 @@
+// Which browser tab the detached window extracts from
+
+export interface TargetTab {
+	tabId: number;
+	windowId?: number;
+	url: string;
+	title: string;
+	favIconUrl?: string;
+}
+
+const TARGET_TAB_KEY = 'detachedTargetTab';
+
+function toTargetTab(tab: chrome.tabs.Tab): TargetTab {
+	return {
+		tabId: tab.id!,
+		windowId: tab.windowId,
+		url: tab.url || '',
+		title: tab.title || tab.url || 'Untitled tab',
+		favIconUrl: tab.favIconUrl
+	};
+}
+
+export function isPayTrackerTab(tab: { url?: string; title?: string }): boolean {
+	return Boolean(
+		tab.url?.includes('paytracker') ||
+			tab.url?.includes('app.') ||
+			tab.title?.toLowerCase().includes('paytracker')
+	);
+}
+
+/**
+ * Tabs the detached window can extract from, PayTracker-looking tabs first
+ */
+export async function listCandidateTabs(): Promise<TargetTab[]> {
+	const tabs = await chrome.tabs.query({});
+	return tabs
+		.filter((tab) => tab.id !== undefined && tab.url && /^https?:/.test(tab.url))
+		.sort((a, b) => Number(isPayTrackerTab(b)) - Number(isPayTrackerTab(a)))
+		.map(toTargetTab);
+}
+
+export async function setTargetTab(tab: TargetTab): Promise<void> {
+	await chrome.storage.local.set({ [TARGET_TAB_KEY]: tab });
+}
+
+export async function clearTargetTab(): Promise<void> {
+	await chrome.storage.local.remove(TARGET_TAB_KEY);
+}
+
+/**
+ * Resolve the remembered tab. If it was closed or replaced, fall back to an open tab on the
+ * same page (same origin and path) and remember that one instead.
+ */
+export async function getTargetTab(): Promise<TargetTab | null> {
+	const result = await chrome.storage.local.get(TARGET_TAB_KEY);
+	const stored: TargetTab | undefined = result[TARGET_TAB_KEY];
+	if (!stored) return null;
+
+	try {
+		const tab = await chrome.tabs.get(stored.tabId);
+		const current = toTargetTab(tab);
+		if (current.url !== stored.url || current.title !== stored.title) {
+			await setTargetTab(current);
+		}
+		return current;
+	} catch {
+		// The tab no longer exists
+	}
+
+	const samePage = (url: string) => {
+		try {
+			const a = new URL(url);
+			const b = new URL(stored.url);
+			return a.origin === b.origin && a.pathname === b.pathname;
+		} catch {
+			return false;
+		}
+	};
+
+	const replacement = (await listCandidateTabs()).find((tab) => samePage(tab.url));
+	if (replacement) {
+		await setTargetTab(replacement);
+		return replacement;
+	}
+
+	await clearTargetTab();
+	return null;
+}
+
+/**
+ * Keep the remembered tab up to date as it reloads, navigates or gets replaced
+ * (e.g. by a prerendered page). Returns a function that removes the listeners.
+ */
+export function watchTargetTab(onChange: (tab: TargetTab | null) => void): () => void {
+	const refresh = async () => onChange(await getTargetTab());
+
+	const onUpdated = async (tabId: number, changeInfo: chrome.tabs.TabChangeInfo) => {
+		if (changeInfo.status !== 'complete' && !changeInfo.url && !changeInfo.title) return;
+		const result = await chrome.storage.local.get(TARGET_TAB_KEY);
+		if (result[TARGET_TAB_KEY]?.tabId === tabId) {
+			await refresh();
+		}
+	};
+
+	const onReplaced = async (addedTabId: number, removedTabId: number) => {
+		const result = await chrome.storage.local.get(TARGET_TAB_KEY);
+		const stored: TargetTab | undefined = result[TARGET_TAB_KEY];
+		if (stored?.tabId === removedTabId) {
+			await setTargetTab({ ...stored, tabId: addedTabId });
+			await refresh();
+		}
+	};
+
+	const onRemoved = async (tabId: number) => {
+		const result = await chrome.storage.local.get(TARGET_TAB_KEY);
+		if (result[TARGET_TAB_KEY]?.tabId === tabId) {
+			await refresh();
+		}
+	};
+
+	chrome.tabs.onUpdated.addListener(onUpdated);
+	chrome.tabs.onReplaced.addListener(onReplaced);
+	chrome.tabs.onRemoved.addListener(onRemoved);
+
+	return () => {
+		chrome.tabs.onUpdated.removeListener(onUpdated);
+		chrome.tabs.onReplaced.removeListener(onReplaced);
+		chrome.tabs.onRemoved.removeListener(onRemoved);
+	};
+}
@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { DEFAULT_DATE_SETTINGS } from './dates';
+import { selectorProfileStore, type SelectorProfile } from './selectorProfiles';
+import { settingsStore } from './settings';
+import {
+	advanceToNextPage,
+	extractAllPages,
+	extractTransactionData,
+	extractTransactionDataFromPage,
+	newRows,
+	type Transaction
+} from './transactionScraper';
+
+const profile: SelectorProfile = {
+	id: 'test-table',
+	name: 'Test table',
+	version: 1,
+	container: 'tr.txn',
+	fields: {
+		customer: { selector: '.customer' },
+		date: { selector: '.date' },
+		amount: { selector: '.amount' },
+		transactionId: { selector: 'a.id' }
+	}
+};
+
+// One table row per transaction, with optional row class and status cell
+const tableRow = (
+	id: string,
+	amount: string,
+	options: { className?: string; status?: string } = {}
+) =>
+	`<tr class="txn ${options.className ?? ''}">
+		<td><a class="id" href="https://clover.com/transactions/${id}">${id}</a></td>
+		<td class="customer">Jane Doe</td>
+		<td class="date">05/01/2024</td>
+		<td class="amount">${amount}</td>
+		<td>${options.status ?? 'Paid'}</td>
+	</tr>`;
+
+const showPage = (rows: string[]) => {
+	document.body.innerHTML = `<table><tbody>${rows.join('')}</tbody></table>`;
+};
+
+describe('newRows', () => {
+	it('keys rows without an ID by their content', () => {
+		const unnamed: Transaction[] = [
+			{ customer: 'Jane', date: '05/01/2024', amount: '$5.00', transactionId: 'N/A' },
+			{ customer: 'John', date: '05/01/2024', amount: '$7.00', transactionId: 'N/A' }
+		];
+		const table = newRows([], unnamed);
+		expect(table).toEqual(unnamed);
+
+		// The same live update arriving again adds nothing
+		expect(
+			newRows(
+				table,
+				unnamed.map((tx) => ({ ...tx }))
+			)
+		).toEqual([]);
+
+		const next = { customer: 'Ann', date: '05/02/2024', amount: '$7.00', transactionId: 'N/A' };
+		expect(newRows(table, [unnamed[0], next, { ...next }])).toEqual([next]);
+	});
+});
+
+describe('extraction', () => {
+	let activeProfile: SelectorProfile;
+
+	beforeEach(() => {
+		activeProfile = profile;
+		// Run the injected function against the test document, as it would run in the tab
+		vi.mocked(chrome.scripting.executeScript).mockImplementation((async ({
+			func,
+			args
+		}: {
+			func: (...args: unknown[]) => unknown;
+			args: unknown[];
+		}) => [{ result: func(...args) }]) as never);
+		vi.spyOn(selectorProfileStore, 'getActive').mockImplementation(async () => activeProfile);
+		vi.spyOn(settingsStore, 'get').mockResolvedValue(DEFAULT_DATE_SETTINGS);
+	});
+
+	// A paged table whose "Next" button shows the following page, up to `pageCount` pages
+	const showPagedTable = (pageCount: number) => {
+		let page = 1;
+		const render = () => {
+			const rows = [1, 2].map((n) => tableRow(`P${page}-${n}`, '$1.00'));
+			document.body.innerHTML = `<table><tbody>${rows.join('')}</tbody></table>
+				<button aria-label="Next" ${page === pageCount ? 'disabled' : ''}>›</button>`;
+			document.querySelector('button')!.addEventListener('click', () => {
+				page++;
+				render();
+			});
+		};
+		render();
+	};
+
+	// How many times the given function was injected into the page
+	const calls = (func: unknown) => {
+		const { mock } = vi.mocked(chrome.scripting.executeScript);
+		return mock.calls.filter(([injection]) => injection.func === func).length;
+	};
+
+	it('stops at the last page when the next button is disabled', async () => {
+		showPagedTable(2);
+
+		const result = await extractAllPages({ settleDelay: 0 });
+		expect(result.pagesVisited).toBe(2);
+		expect(result.transactions.map((tx) => tx.transactionId)).toEqual([
+			'P1-1',
+			'P1-2',
+			'P2-1',
+			'P2-2'
+		]);
+		expect(advanceToNextPage(profile)).toBe('end');
+	});
+
+	it('gives up after three tries when the page never shows new rows', async () => {
+		showPage([tableRow('A1', '$12.50')]);
+		document.body.insertAdjacentHTML('beforeend', '<button>Next</button>');
+
+		const result = await extractAllPages({ settleDelay: 0 });
+		expect(result.pagesVisited).toBe(1);
+		expect(result.transactions).toHaveLength(1);
+		expect(calls(advanceToNextPage)).toBe(1);
+		expect(calls(extractTransactionDataFromPage)).toBe(4);
+	});
+
+	it('visits no more than maxPages pages', async () => {
+		showPagedTable(10);
+		const onProgress = vi.fn();
+
+		const result = await extractAllPages({ settleDelay: 0, maxPages: 3, onProgress });
+		expect(result.pagesVisited).toBe(3);
+		expect(result.transactions).toHaveLength(6);
+		expect(calls(advanceToNextPage)).toBe(2);
+		expect(onProgress).toHaveBeenLastCalledWith({ page: 3, transactionCount: 6 });
+	});
+
+	it("reads a custom profile's extra fields into each row", async () => {
+		activeProfile = {
+			...profile,
+			extraFields: {
+				status: { label: 'Status', selector: 'td:last-child' },
+				receipt: { label: 'Receipt', selector: 'a.id', attribute: 'href' },
+				tip: { label: 'Tip', selector: '.tip' }
+			}
+		};
+		showPage([tableRow('A1', '$12.50', { status: 'Paid' })]);
+
+		const { transactions, diagnostics } = await extractTransactionData();
+		expect(transactions[0].extra).toEqual({
+			status: 'Paid',
+			receipt: 'https://clover.com/transactions/A1',
+			tip: ''
+		});
+		expect(diagnostics.selectorMatches).toMatchObject({ status: 1, receipt: 1, tip: 0 });
+		expect(diagnostics.fallbacks).toMatchObject({ status: 0, receipt: 0, tip: 1 });
+	});
+
+	it("makes rows matched by the profile's refund selector negative", async () => {
+		activeProfile = { ...profile, refund: '.refunded' };
+		showPage([tableRow('A1', '$12.50'), tableRow('B2', '$5.00', { className: 'refunded' })]);
+
+		const { transactions, diagnostics } = await extractTransactionData();
+		expect(transactions.map((tx) => [tx.transactionId, tx.refund, tx.money?.sign])).toEqual([
+			['A1', undefined, 1],
+			['B2', true, -1]
+		]);
+		expect(diagnostics.selectorMatches.refund).toBe(1);
+	});
+
+	it('makes rows with a refund or void status cell negative', async () => {
+		showPage([
+			tableRow('A1', '$12.50'),
+			tableRow('B2', '$5.00', { status: 'Refunded' }),
+			tableRow('C3', '$3.00', { status: 'Void' }),
+			tableRow('D4', '-$2.00', { status: 'Refund' })
+		]);
+
+		const { transactions } = await extractTransactionData();
+		expect(transactions.map((tx) => tx.money?.sign)).toEqual([1, -1, -1, -1]);
+		expect(transactions[1].money?.minorUnits).toBe(500);
+	});
+});
+
+describe('heuristic extraction', () => {
+	const rowsOf = (result: ReturnType<typeof extractTransactionDataFromPage>) =>
+		result.transactions.map(({ customer, date, amount, transactionId }) => ({
+			customer,
+			date,
+			amount,
+			transactionId
+		}));
+
+	it("finds rows in a table the profile's selectors don't match", () => {
+		document.body.innerHTML = `<table><tbody>
+			<tr class="payment"><td><a href="https://clover.com/transactions/A1">A1</a></td>
+				<td>Jane Doe</td><td>05/01/2024</td><td>$12.50</td></tr>
+			<tr class="payment"><td><a href="https://clover.com/transactions/B2">B2</a></td>
+				<td>John Public</td><td>05/02/2024</td><td>($5.00)</td></tr>
+		</tbody></table>`;
+
+		const result = extractTransactionDataFromPage(profile);
+		expect(result.method).toBe('heuristic');
+		expect(result.diagnostics.selectorMatches.container).toBe(0);
+		expect(rowsOf(result)).toEqual([
+			{ customer: 'Jane Doe', date: '05/01/2024', amount: '$12.50', transactionId: 'A1' },
+			{ customer: 'John Public', date: '05/02/2024', amount: '($5.00)', transactionId: 'B2' }
+		]);
+	});
+
+	it('finds repeated blocks on a page without a table', () => {
+		const card = (id: string, customer: string, date: string, amount: string) =>
+			`<div class="card"><a href="https://www.clover.com/transactions/${id}/"></a>
+				<span>${customer}</span><div><span>${date}</span><strong>${amount}</strong></div></div>`;
+		const cards = [
+			card('A1', 'Jane Doe', 'Today, 3:14 PM', '$12.50'),
+			card('B2', 'Ann Lee', 'May 2, 2024', '€7')
+		];
+		document.body.innerHTML = `<header><a href="https://clover.com/transactions/">All</a></header>
+			<section>${cards.join('')}</section>`;
+
+		const result = extractTransactionDataFromPage(profile);
+		expect(result.method).toBe('heuristic');
+		// The link without an ID has no amount or date next to it, so it isn't a row
+		expect(rowsOf(result)).toEqual([
+			{ customer: 'Jane Doe', date: 'Today, 3:14 PM', amount: '$12.50', transactionId: 'A1' },
+			{ customer: 'Ann Lee', date: 'May 2, 2024', amount: '€7', transactionId: 'B2' }
+		]);
+	});
+});
@@ -1,73 +1,592 @@
+import { selectorProfileStore, type FieldSelector, type SelectorProfile } from './selectorProfiles';
+import { withMoney, type Money } from './money';
+import { getTargetTab, isPayTrackerTab } from './tabTarget';
+import { withIsoDates } from './dates';
+import { settingsStore } from './settings';
+
 export interface Transaction {
 	customer: string;
 	date: string;
 	amount: string;
 	transactionId: string;
+	money?: Money | null; // Parsed from `amount`; null when the amount couldn't be parsed
+	isoDate?: string | null; // Normalized UTC timestamp parsed from `date`; null when unparseable
+	extra?: Record<string, string>; // Profile-defined extra fields, keyed by field name
+	refund?: boolean; // The page marks the row as a refund or void, so its amount is negative
+	source?: TransactionSource; // Tab the row was extracted from
+}
+
+export interface TransactionSource {
+	tabId: number;
+	url: string;
+	title: string;
 }
 
-// Function to be injected into the page content
-export const extractTransactionDataFromPage = (): Transaction[] => {
-	const containers = document.querySelectorAll('div.sc-bMEPZl.fcfTGk');
-
-	return Array.from(containers).map((container) => {
-		const customerElements = container.querySelectorAll("p.sc-kAFUCS.kxJkvp[type='subtitle']");
-		const customer = customerElements[0]?.textContent?.trim() || 'No customer selected';
-		const date = customerElements[1]?.textContent?.trim() || 'N/A';
-		const amount =
-			container.querySelector("p.sc-dibcMh.bnjRCI[type='success']")?.textContent?.trim() || 'N/A';
-		const transactionId =
-			container
-				.querySelector('a.sc-goYhtw.bhMCZg[href^="https://clover.com/transactions/"]')
-				?.textContent?.trim() || 'N/A';
-
-		return { customer, date, amount, transactionId };
+// Key used to de-duplicate rows; rows without an ID are keyed by their content instead
+export const transactionKey = (tx: Transaction): string =>
+	tx.transactionId !== 'N/A' ? tx.transactionId : `${tx.customer}|${tx.date}|${tx.amount}`;
+
+// Rows from `incoming` that aren't in `existing` yet, each key kept once
+export const newRows = (existing: Transaction[], incoming: Transaction[]): Transaction[] => {
+	const known = new Set(existing.map(transactionKey));
+	return incoming.filter((tx) => {
+		const key = transactionKey(tx);
+		if (known.has(key)) return false;
+		known.add(key);
+		return true;
 	});
 };
 
-// Function to extract data using Chrome's scripting API
-export const extractTransactionData = async (): Promise<Transaction[]> => {
-	try {
-		// Check if we're in a detached window (popup window)
-		const isDetachedWindow = window.location.search.includes('detached=true');
-
-		let tab;
-		if (isDetachedWindow) {
-			// In detached window, find the tab with PayTracker
-			const allTabs = await chrome.tabs.query({});
-			tab = allTabs.find(
-				(t) =>
-					t.url &&
-					(t.url.includes('paytracker') ||
-						t.url.includes('app.') ||
-						t.title?.toLowerCase().includes('paytracker'))
+// 'selectors' when the selector profile matched, 'heuristic' when the structural fallback was used
+export type ExtractionMethod = 'selectors' | 'heuristic';
+
+export interface ExtractionDiagnostics {
+	url: string;
+	title: string;
+	extractedAt: string;
+	durationMs: number;
+	method: ExtractionMethod;
+	profileId: string;
+	profileVersion: number;
+	rowCount: number;
+	// Nodes matched by the container selector and, per field, across all containers
+	selectorMatches: Record<string, number>;
+	// Rows where a field fell back to 'N/A' or 'No customer selected'
+	fallbacks: Record<string, number>;
+}
+
+export interface ExtractionResult {
+	transactions: Transaction[];
+	method: ExtractionMethod;
+	diagnostics: ExtractionDiagnostics;
+	pagesVisited?: number;
+	cancelled?: boolean;
+}
+
+export interface CrawlProgress {
+	page: number;
+	transactionCount: number;
+}
+
+export interface CrawlOptions {
+	signal?: AbortSignal;
+	onProgress?: (progress: CrawlProgress) => void;
+	maxPages?: number;
+	settleDelay?: number; // Milliseconds to wait for the page to render after advancing
+}
+
+export type AdvanceOutcome = 'clicked' | 'scrolled' | 'end';
+
+// Must match the name used inside extractTransactionDataFromPage
+export const LIVE_CAPTURE_PORT = 'paytracker-live-capture';
+
+export interface LiveCaptureSession {
+	initial: ExtractionResult;
+	stop: () => void;
+}
+
+export interface LiveCaptureHandlers {
+	onRows: (transactions: Transaction[]) => void;
+	onStop?: () => void; // Called when the page navigates away or the tab closes
+}
+
+// Function to be injected into the page content.
+// It is serialized by executeScript, so it must not reference anything outside its own body.
+// With `liveCapture` it also stays resident, watching the list with a MutationObserver and
+// streaming newly rendered rows over a runtime port until the port is disconnected.
+export const extractTransactionDataFromPage = (
+	profile: SelectorProfile,
+	options: { liveCapture?: boolean } = {}
+): ExtractionResult => {
+	const extractOnce = (): ExtractionResult => {
+		const startTime = performance.now();
+		const fieldNames = Object.keys(profile.fields) as (keyof SelectorProfile['fields'])[];
+		const extraFields = profile.extraFields || {};
+		const fallbackValues: Record<string, string> = { customer: 'No customer selected' };
+
+		const readField = (container: Element, field: FieldSelector) => {
+			const node = container.querySelectorAll(field.selector)[field.index || 0];
+			return (field.attribute ? node?.getAttribute(field.attribute) : node?.textContent)?.trim();
+		};
+
+		// Refunds often show a positive amount with a row class or status cell saying so
+		const refundStatus = /^(refund(ed)?|void(ed)?)$/i;
+		const isRefund = (row: Element) =>
+			profile.refund
+				? row.matches(profile.refund) || !!row.querySelector(profile.refund)
+				: Array.from(row.querySelectorAll('*')).some(
+						(node) =>
+							node.children.length === 0 && refundStatus.test(node.textContent?.trim() || '')
+					);
+
+		// Second pass: find rows structurally when the profile's container selector matches nothing
+		const extractHeuristically = (): Transaction[] => {
+			const amountPattern = /^[-−(]?\s*[$€£]\s?\d[\d,]*(\.\d{2})?\)?$/;
+			const datePattern =
+				/\b(\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|\d{4}-\d{2}-\d{2}|(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.? \d{1,2}|today|yesterday)\b/i;
+			const linkSelector = 'a[href*="clover.com/transactions/"]';
+
+			const leafTexts = (element: Element) =>
+				Array.from(element.querySelectorAll('*'))
+					.filter((node) => node.children.length === 0)
+					.map((node) => node.textContent?.trim() || '')
+					.filter(Boolean);
+
+			// A row is the smallest ancestor of a transaction link that holds exactly one link,
+			// an amount and a date
+			const findRow = (link: Element): Element | null => {
+				let node = link.parentElement;
+				while (node && node !== document.body) {
+					if (node.querySelectorAll(linkSelector).length > 1) return null;
+					const texts = leafTexts(node);
+					if (texts.some((t) => amountPattern.test(t)) && texts.some((t) => datePattern.test(t))) {
+						return node;
+					}
+					node = node.parentElement;
+				}
+				return null;
+			};
+
+			const rows = new Set<Element>();
+			document.querySelectorAll(linkSelector).forEach((link) => {
+				const row = findRow(link);
+				if (row) rows.add(row);
+			});
+
+			// Keep only repeated sibling blocks: rows whose parent holds at least one other row
+			// with the same tag, unless the page only has a single row
+			const rowList = Array.from(rows).filter(
+				(row) =>
+					rows.size === 1 ||
+					Array.from(row.parentElement?.children || []).some(
+						(sibling) => sibling !== row && sibling.tagName === row.tagName && rows.has(sibling)
+					)
+			);
+
+			return rowList.map((row) => {
+				const link = row.querySelector(linkSelector);
+				const href = link?.getAttribute('href') || '';
+				const transactionId =
+					link?.textContent?.trim() || href.split('/').filter(Boolean).pop() || 'N/A';
+				const texts = leafTexts(row);
+				const amount = texts.find((t) => amountPattern.test(t)) || 'N/A';
+				const date = texts.find((t) => datePattern.test(t)) || 'N/A';
+				const customer =
+					texts.find(
+						(t) => t !== amount && t !== date && t !== transactionId && /[a-z]/i.test(t)
+					) || 'No customer selected';
+
+				const tx: Transaction = { customer, date, amount, transactionId };
+				if (isRefund(row)) tx.refund = true;
+				return tx;
+			});
+		};
+
+		const containers = Array.from(document.querySelectorAll(profile.container));
+		const method: ExtractionMethod = containers.length === 0 ? 'heuristic' : 'selectors';
+
+		const transactions =
+			method === 'heuristic'
+				? extractHeuristically()
+				: containers.map((container) => {
+						const customer =
+							readField(container, profile.fields.customer) || 'No customer selected';
+						const date = readField(container, profile.fields.date) || 'N/A';
+						const amount = readField(container, profile.fields.amount) || 'N/A';
+						const transactionId = readField(container, profile.fields.transactionId) || 'N/A';
+
+						const extra: Record<string, string> = {};
+						for (const [name, field] of Object.entries(extraFields)) {
+							extra[name] = readField(container, field) || '';
+						}
+
+						const tx: Transaction = { customer, date, amount, transactionId, extra };
+						if (isRefund(container)) tx.refund = true;
+						return tx;
+					});
+
+		const selectorMatches: Record<string, number> = { container: containers.length };
+		const fallbacks: Record<string, number> = {};
+		for (const field of fieldNames) {
+			selectorMatches[field] = containers.reduce(
+				(count, container) =>
+					count + container.querySelectorAll(profile.fields[field].selector).length,
+				0
+			);
+			const fallbackValue = fallbackValues[field] || 'N/A';
+			fallbacks[field] = transactions.filter((tx) => tx[field] === fallbackValue).length;
+		}
+		for (const [name, field] of Object.entries(extraFields)) {
+			selectorMatches[name] = containers.reduce(
+				(count, container) => count + container.querySelectorAll(field.selector).length,
+				0
 			);
+			fallbacks[name] = transactions.filter((tx) => !tx.extra?.[name]).length;
+		}
+		if (profile.refund) {
+			selectorMatches.refund = containers.filter(isRefund).length;
+		}
 
-			if (!tab) {
-				// If no PayTracker tab found, get the most recent non-extension tab
-				const regularTabs = allTabs.filter(
-					(t) => t.url && !t.url.startsWith('chrome-extension://')
-				);
-				tab = regularTabs[regularTabs.length - 1];
+		return {
+			transactions,
+			method,
+			diagnostics: {
+				url: window.location.href,
+				title: document.title,
+				extractedAt: new Date().toISOString(),
+				durationMs: Math.round(performance.now() - startTime),
+				method,
+				profileId: profile.id,
+				profileVersion: profile.version,
+				rowCount: transactions.length,
+				selectorMatches,
+				fallbacks
 			}
-		} else {
-			// In popup mode, get the active tab
-			const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
-			tab = activeTab;
+		};
+	};
+
+	const result = extractOnce();
+	if (!options.liveCapture) return result;
+
+	// Replace any observer left by a previous live session in this page
+	const liveWindow = window as Window & { __paytrackerLiveCapture?: { stop: () => void } };
+	liveWindow.__paytrackerLiveCapture?.stop();
+
+	const rowKey = (tx: Transaction) =>
+		tx.transactionId !== 'N/A' ? tx.transactionId : `${tx.customer}|${tx.date}|${tx.amount}`;
+	const seen = new Set(result.transactions.map(rowKey));
+	const port = chrome.runtime.connect({ name: 'paytracker-live-capture' });
+	let timer: ReturnType<typeof setTimeout> | undefined;
+
+	const observer = new MutationObserver(() => {
+		// Rows usually render in bursts, so wait for the DOM to settle before re-reading it
+		clearTimeout(timer);
+		timer = setTimeout(() => {
+			const fresh = extractOnce().transactions.filter((tx) => !seen.has(rowKey(tx)));
+			if (fresh.length === 0) return;
+			fresh.forEach((tx) => seen.add(rowKey(tx)));
+			port.postMessage({ type: 'rows', transactions: fresh });
+		}, 300);
+	});
+
+	const stop = () => {
+		observer.disconnect();
+		clearTimeout(timer);
+		port.disconnect();
+		delete liveWindow.__paytrackerLiveCapture;
+	};
+	port.onDisconnect.addListener(stop);
+	liveWindow.__paytrackerLiveCapture = { stop };
+	observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+	return result;
+};
+
+// Function to be injected into the page content to move to the next page of results.
+// Clicks a "next" control when one exists, otherwise scrolls the list to load more rows.
+export const advanceToNextPage = (profile: SelectorProfile): AdvanceOutcome => {
+	const isDisabled = (element: Element) =>
+		element.hasAttribute('disabled') ||
+		element.getAttribute('aria-disabled') === 'true' ||
+		element.classList.contains('disabled');
+
+	const nextLabels = ['next', 'next page', '›', '»', '>'];
+	const nextButton = profile.pagination?.nextButton
+		? document.querySelector(profile.pagination.nextButton)
+		: Array.from(document.querySelectorAll('button, a, [role="button"]')).find((element) => {
+				const ariaLabel = element.getAttribute('aria-label')?.trim().toLowerCase() || '';
+				const text = element.textContent?.trim().toLowerCase() || '';
+				return nextLabels.includes(ariaLabel) || nextLabels.includes(text);
+			});
+
+	if (nextButton) {
+		if (isDisabled(nextButton)) return 'end';
+		(nextButton as HTMLElement).click();
+		return 'clicked';
+	}
+
+	// No pager: scroll the nearest scrollable ancestor of the last row
+	const rows = document.querySelectorAll(profile.container);
+	const lastRow =
+		rows[rows.length - 1] ||
+		Array.from(document.querySelectorAll('a[href*="clover.com/transactions/"]')).pop();
+
+	let scroller: Element | null = profile.pagination?.scrollContainer
+		? document.querySelector(profile.pagination.scrollContainer)
+		: null;
+	for (let node = lastRow?.parentElement; !scroller && node; node = node.parentElement) {
+		const overflowY = getComputedStyle(node).overflowY;
+		if (node.scrollHeight > node.clientHeight && /(auto|scroll)/.test(overflowY)) {
+			scroller = node;
+		}
+	}
+	scroller = scroller || document.scrollingElement || document.documentElement;
+
+	const before = scroller.scrollTop;
+	scroller.scrollTop = scroller.scrollHeight;
+	lastRow?.scrollIntoView({ block: 'end' });
+
+	const atBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2;
+	return scroller.scrollTop === before && atBottom ? 'end' : 'scrolled';
+};
+
+// Find the tab to extract from, depending on whether we're in the popup or detached window
+const findTargetTab = async (): Promise<chrome.tabs.Tab | undefined> => {
+	// Check if we're in a detached window (popup window)
+	const isDetachedWindow = window.location.search.includes('detached=true');
+
+	if (isDetachedWindow) {
+		// Prefer the tab the user picked in the detached window
+		const target = await getTargetTab();
+		if (target) return chrome.tabs.get(target.tabId);
+
+		// Nothing picked yet: guess a PayTracker tab
+		const allTabs = await chrome.tabs.query({});
+		const tab = allTabs.find(isPayTrackerTab);
+		if (tab) return tab;
+
+		// If no PayTracker tab found, get the most recent non-extension tab
+		const regularTabs = allTabs.filter((t) => t.url && !t.url.startsWith('chrome-extension://'));
+		return regularTabs[regularTabs.length - 1];
+	}
+
+	// In popup mode, get the active tab
+	const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+	return activeTab;
+};
+
+// Inject and execute the extraction function with the given selector profile
+const runExtraction = async (
+	tabId: number,
+	profile: SelectorProfile,
+	options: { liveCapture?: boolean } = {}
+): Promise<ExtractionResult> => {
+	const results = await chrome.scripting.executeScript({
+		target: { tabId },
+		func: extractTransactionDataFromPage,
+		args: [profile, options]
+	});
+
+	const result = results[0]?.result;
+	if (!result) {
+		throw new Error('Extraction script returned no result');
+	}
+	return {
+		...result,
+		transactions: await prepareRows(result.transactions, tabId, result.diagnostics)
+	};
+};
+
+// Attach parsed money, normalized dates and the source tab to rows coming back from the page.
+// Dates are parsed now so relative dates like "Today, 3:14 PM" resolve against extraction time.
+const prepareRows = async (
+	transactions: Transaction[],
+	tabId: number,
+	diagnostics: ExtractionDiagnostics
+): Promise<Transaction[]> => {
+	const source: TransactionSource = { tabId, url: diagnostics.url, title: diagnostics.title };
+	const dateSettings = await settingsStore.get('dateSettings');
+	return withIsoDates(withMoney(transactions), dateSettings).map((tx) => ({ ...tx, source }));
+};
+
+// Function to extract data using Chrome's scripting API
+export const extractTransactionData = async (): Promise<ExtractionResult> => {
+	try {
+		const tab = await findTargetTab();
+		if (!tab?.id) {
+			throw new Error('No suitable tab found for data extraction');
 		}
 
+		const profile = await selectorProfileStore.getActive();
+		const result = await runExtraction(tab.id, profile);
+		return { ...result, pagesVisited: 1 };
+	} catch (error) {
+		console.error('Error extracting transaction data:', error);
+		throw error;
+	}
+};
+
+// Extract every page of results by following "next" controls or scrolling the list,
+// de-duplicating rows by transaction ID. Stops early (keeping what it has) when cancelled.
+export const extractAllPages = async (options: CrawlOptions = {}): Promise<ExtractionResult> => {
+	const { signal, onProgress, maxPages = 50, settleDelay = 1200 } = options;
+	const wait = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+	try {
+		const tab = await findTargetTab();
 		if (!tab?.id) {
 			throw new Error('No suitable tab found for data extraction');
 		}
+		const tabId = tab.id;
+		const profile = await selectorProfileStore.getActive();
+
+		const merged = new Map<string, Transaction>();
+		const mergeRows = (rows: Transaction[]) => {
+			const before = merged.size;
+			rows.forEach((tx) => merged.set(transactionKey(tx), tx));
+			return merged.size - before;
+		};
+
+		const startTime = Date.now();
+		let last = await runExtraction(tabId, profile);
+		mergeRows(last.transactions);
+		let pagesVisited = 1;
+		onProgress?.({ page: pagesVisited, transactionCount: merged.size });
+
+		while (pagesVisited < maxPages && !signal?.aborted) {
+			const [advance] = await chrome.scripting.executeScript({
+				target: { tabId },
+				func: advanceToNextPage,
+				args: [profile]
+			});
+			if (!advance || advance.result === 'end') break;
+
+			// Give the page a few chances to render the next batch of rows
+			let added = 0;
+			for (let attempt = 0; attempt < 3 && added === 0 && !signal?.aborted; attempt++) {
+				await wait(settleDelay);
+				last = await runExtraction(tabId, profile);
+				added = mergeRows(last.transactions);
+			}
+			if (added === 0) break;
+
+			pagesVisited++;
+			onProgress?.({ page: pagesVisited, transactionCount: merged.size });
+		}
+
+		const transactions = Array.from(merged.values());
+		return {
+			transactions,
+			method: last.method,
+			diagnostics: {
+				...last.diagnostics,
+				rowCount: transactions.length,
+				durationMs: Date.now() - startTime
+			},
+			pagesVisited,
+			cancelled: signal?.aborted || false
+		};
+	} catch (error) {
+		console.error('Error extracting all pages:', error);
+		throw error;
+	}
+};
 
-		// Inject and execute the extraction function
-		const results = await chrome.scripting.executeScript({
-			target: { tabId: tab.id },
-			func: extractTransactionDataFromPage
+// Extract the current rows, then keep streaming newly rendered rows from the page
+// until `stop()` is called or the page goes away.
+export const startLiveCapture = async (
+	handlers: LiveCaptureHandlers
+): Promise<LiveCaptureSession> => {
+	const tab = await findTargetTab();
+	if (!tab?.id) {
+		throw new Error('No suitable tab found for data extraction');
+	}
+	const tabId = tab.id;
+
+	let activePort: chrome.runtime.Port | null = null;
+	let stopped = false;
+
+	let initial: ExtractionResult | null = null;
+
+	const onConnect = (port: chrome.runtime.Port) => {
+		if (port.name !== LIVE_CAPTURE_PORT || port.sender?.tab?.id !== tabId || stopped) return;
+
+		activePort?.disconnect();
+		activePort = port;
+		port.onMessage.addListener(async (message: { type: string; transactions?: Transaction[] }) => {
+			if (message.type === 'rows' && message.transactions?.length && initial) {
+				handlers.onRows(await prepareRows(message.transactions, tabId, initial.diagnostics));
+			}
+		});
+		port.onDisconnect.addListener(() => {
+			if (activePort !== port) return;
+			activePort = null;
+			stop();
+			handlers.onStop?.();
 		});
+	};
 
-		return results[0]?.result || [];
+	const stop = () => {
+		if (stopped) return;
+		stopped = true;
+		chrome.runtime.onConnect.removeListener(onConnect);
+		activePort?.disconnect();
+		activePort = null;
+	};
+
+	// Listen before injecting so the content script's connection isn't missed
+	chrome.runtime.onConnect.addListener(onConnect);
+
+	try {
+		const profile = await selectorProfileStore.getActive();
+		initial = await runExtraction(tabId, profile, { liveCapture: true });
+		return { initial: { ...initial, pagesVisited: 1 }, stop };
 	} catch (error) {
-		console.error('Error extracting transaction data:', error);
+		stop();
+		console.error('Error starting live capture:', error);
 		throw error;
 	}
 };
+
+// Run the extraction in every open PayTracker tab and merge the rows, de-duplicated by
+// transaction ID. Tabs that fail (e.g. still loading) are skipped and counted.
+export const extractFromAllTabs = async (): Promise<
+	ExtractionResult & { tabsVisited: number; tabsFailed: number }
+> => {
+	const tabs = (await chrome.tabs.query({})).filter(
+		(tab) => tab.id !== undefined && tab.url && /^https?:/.test(tab.url) && isPayTrackerTab(tab)
+	);
+	if (tabs.length === 0) {
+		throw new Error('No PayTracker tab found for data extraction');
+	}
+
+	const profile = await selectorProfileStore.getActive();
+	const merged = new Map<string, Transaction>();
+	const results: ExtractionResult[] = [];
+	let tabsFailed = 0;
+
+	for (const tab of tabs) {
+		try {
+			const result = await runExtraction(tab.id!, profile);
+			results.push(result);
+			result.transactions.forEach((tx) => {
+				if (!merged.has(transactionKey(tx))) merged.set(transactionKey(tx), tx);
+			});
+		} catch (error) {
+			console.warn(`Skipping tab ${tab.id} (${tab.url}):`, error);
+			tabsFailed++;
+		}
+	}
+
+	if (results.length === 0) {
+		throw new Error('Extraction failed in every PayTracker tab');
+	}
+
+	// Sum the per-tab diagnostics into one report
+	const sum = (pick: (d: ExtractionDiagnostics) => Record<string, number>) =>
+		results.reduce<Record<string, number>>((totals, result) => {
+			Object.entries(pick(result.diagnostics)).forEach(([key, n]) => {
+				totals[key] = (totals[key] || 0) + n;
+			});
+			return totals;
+		}, {});
+
+	const transactions = Array.from(merged.values());
+	const first = results[0].diagnostics;
+	return {
+		transactions,
+		method: results.some((result) => result.method === 'heuristic') ? 'heuristic' : 'selectors',
+		diagnostics: {
+			...first,
+			url: results.map((result) => result.diagnostics.url).join(' | '),
+			title: `${results.length} PayTracker tabs`,
+			durationMs: results.reduce((total, result) => total + result.diagnostics.durationMs, 0),
+			rowCount: transactions.length,
+			selectorMatches: sum((d) => d.selectorMatches),
+			fallbacks: sum((d) => d.fallbacks)
+		},
+		pagesVisited: results.length,
+		tabsVisited: results.length,
+		tabsFailed
+	};
+};
@@ -1,3 +1,12 @@
+import {
+	BUILT_IN_EXPORT_PRESETS,
+	exportTable,
+	resolveColumns,
+	type ExportColumn
+} from './exportColumns';
+import { parseMoney, toDecimal } from './money';
+import type { Transaction } from './transactionScraper';
+
 // Privacy and formatting utilities
 export function formatCustomerName(name: string): string {
 	if (name.toLowerCase().includes('member') || name.toLowerCase().includes('individual')) {
@@ -32,21 +41,35 @@ export async function copyToClipboard(text: string): Promise<boolean> {
 	}
 }
 
+// Extra (profile-defined) column descriptor
+export interface ExtraColumn {
+	key: string;
+	label: string;
+}
+
+// Columns for every extra field present in the data, labelled from the selector profile when known
+export function getExtraColumns(
+	transactions: { extra?: Record<string, string> }[],
+	labels: Record<string, { label: string }> = {}
+): ExtraColumn[] {
+	const keys = new Set(Object.keys(labels));
+	transactions.forEach((tx) => Object.keys(tx.extra || {}).forEach((key) => keys.add(key)));
+	return Array.from(keys).map((key) => ({ key, label: labels[key]?.label || key }));
+}
+
 // CSV generation utility
-export function generateCSV(transactions: any[], formatFunction: (name: string) => string): string {
-	const header = 'Customer,Date,Amount,ID\n';
-	const rows = transactions
-		.map(
-			(tx) =>
-				`${escapeCSVValue(formatFunction(tx.customer))},${escapeCSVValue(tx.date)},${escapeCSVValue(tx.amount)},${escapeCSVValue(tx.transactionId)}`
-		)
-		.join('\n');
-	return header + rows;
+export function generateCSV(
+	transactions: Transaction[],
+	formatFunction: (name: string) => string,
+	columns: ExportColumn[] = resolveColumns(BUILT_IN_EXPORT_PRESETS[0])
+): string {
+	const { headers, rows } = exportTable(transactions, columns, formatFunction);
+	return [headers, ...rows].map((row) => row.map(escapeCSVValue).join(',')).join('\n');
 }
 
 // File download utility
-export function downloadCSV(csvContent: string, filename: string = 'transactions.csv'): void {
-	const blob = new Blob([csvContent], { type: 'text/csv' });
+export function downloadFile(content: BlobPart, filename: string, type: string): void {
+	const blob = new Blob([content], { type });
 	const url = URL.createObjectURL(blob);
 	const a = document.createElement('a');
 	a.href = url;
@@ -55,17 +78,48 @@ export function downloadCSV(csvContent: string, filename: string = 'transactions
 	URL.revokeObjectURL(url);
 }
 
+export function downloadCSV(csvContent: string, filename: string = 'transactions.csv'): void {
+	downloadFile(csvContent, filename, 'text/csv');
+}
+
 // Search filtering utility
 export function filterTransactions(transactions: any[], searchTerm: string): any[] {
 	if (!searchTerm.trim()) return transactions;
 
+	// Numeric comparisons against the parsed amount, e.g. ">100", "<=12.50", "=5"
+	const comparison = searchTerm.trim().match(/^(>=|<=|>|<|=)\s*\$?(-?\d+(?:\.\d+)?)$/);
+	if (comparison) {
+		const [, operator, rawValue] = comparison;
+		const target = parseFloat(rawValue);
+		return transactions.filter((tx) => {
+			const money = tx.money === undefined ? parseMoney(tx.amount) : tx.money;
+			if (!money) return false;
+			const value = toDecimal(money);
+			switch (operator) {
+				case '>=':
+					return value >= target;
+				case '<=':
+					return value <= target;
+				case '>':
+					return value > target;
+				case '<':
+					return value < target;
+				default:
+					return Math.abs(value - target) < 0.005;
+			}
+		});
+	}
+
 	const term = searchTerm.toLowerCase();
 	return transactions.filter(
 		(tx) =>
 			tx.customer.toLowerCase().includes(term) ||
 			tx.amount.toLowerCase().includes(term) ||
 			tx.transactionId.toLowerCase().includes(term) ||
-			tx.date.toLowerCase().includes(term)
+			tx.date.toLowerCase().includes(term) ||
+			Object.values(tx.extra || {}).some((value) => String(value).toLowerCase().includes(term)) ||
+			tx.source?.url.toLowerCase().includes(term) ||
+			tx.source?.title.toLowerCase().includes(term)
 	);
 }
 
@@ -74,6 +128,14 @@ export function getSystemTheme(): 'dark' | 'light' {
 	return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
 }
 
+// Call back whenever the OS switches between light and dark; returns a function that stops watching
+export function watchSystemTheme(callback: (theme: 'dark' | 'light') => void): () => void {
+	const query = window.matchMedia('(prefers-color-scheme: dark)');
+	const listener = () => callback(getSystemTheme());
+	query.addEventListener('change', listener);
+	return () => query.removeEventListener('change', listener);
+}
+
 export function applyTheme(isDark: boolean): void {
 	if (isDark) {
 		document.documentElement.classList.add('dark');
@@ -82,28 +144,11 @@ export function applyTheme(isDark: boolean): void {
 	}
 }
 
-// Storage utilities
-export async function getSetting(key: string, defaultValue: any = null): Promise<any> {
-	try {
-		const stored = localStorage.getItem(key);
-		return stored !== null ? JSON.parse(stored) : defaultValue;
-	} catch {
-		return defaultValue;
-	}
-}
-
-export function setSetting(key: string, value: any): void {
-	try {
-		localStorage.setItem(key, JSON.stringify(value));
-	} catch (error) {
-		console.error('Failed to save setting:', key, error);
-	}
-}
-
 // Instance management utilities
+// Markers live in session storage: they only mean something while the browser is running
 export async function setInstanceMarker(type: 'popup' | 'detached'): Promise<string> {
 	const instanceId = Date.now().toString();
-	await chrome.storage.local.set({
+	await chrome.storage.session.set({
 		[`instance_${type}`]: instanceId,
 		[`instanceTime_${type}`]: Date.now()
 	});
@@ -111,18 +156,32 @@ export async function setInstanceMarker(type: 'popup' | 'detached'): Promise<str
 }
 
 export async function clearInstanceMarker(type: 'popup' | 'detached'): Promise<void> {
-	await chrome.storage.local.remove([`instance_${type}`, `instanceTime_${type}`]);
+	await chrome.storage.session.remove([`instance_${type}`, `instanceTime_${type}`]);
 }
 
 export async function checkInstanceExists(
 	type: 'popup' | 'detached',
 	maxAge: number = 30000
 ): Promise<boolean> {
-	const result = await chrome.storage.local.get([`instance_${type}`, `instanceTime_${type}`]);
+	const result = await chrome.storage.session.get([`instance_${type}`, `instanceTime_${type}`]);
 	const instanceTime = result[`instanceTime_${type}`];
 	return instanceTime && Date.now() - instanceTime < maxAge;
 }
 
+// Call `onReplaced` when a newer window of the same type claims the marker
+export function watchInstanceMarker(
+	type: 'popup' | 'detached',
+	instanceId: string,
+	onReplaced: () => void
+): () => void {
+	const listener = (changes: Record<string, chrome.storage.StorageChange>, area: string) => {
+		const next = changes[`instance_${type}`]?.newValue;
+		if (area === 'session' && next && next !== instanceId) onReplaced();
+	};
+	chrome.storage.onChanged.addListener(listener);
+	return () => chrome.storage.onChanged.removeListener(listener);
+}
+
 // Window management utilities
 export async function findExistingDetachedWindow(): Promise<chrome.windows.Window | null> {
 	const existingWindows = await chrome.windows.getAll();
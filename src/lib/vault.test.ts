@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Vault, VaultLockedError, isSealed } from './vault';
+
+// chrome.storage with working local and session areas
+function memoryArea() {
+	const items: Record<string, unknown> = {};
+	return {
+		items,
+		async get(key: string) {
+			return key in items ? { [key]: structuredClone(items[key]) } : {};
+		},
+		async set(values: Record<string, unknown>) {
+			Object.assign(items, structuredClone(values));
+		},
+		async remove(key: string) {
+			delete items[key];
+		}
+	};
+}
+
+describe('Vault', () => {
+	let local: ReturnType<typeof memoryArea>;
+	let vault: Vault;
+
+	const mockChrome = globalThis.chrome;
+
+	beforeEach(() => {
+		local = memoryArea();
+		Object.assign(globalThis, {
+			chrome: { storage: { local, session: memoryArea(), onChanged: { addListener: vi.fn() } } }
+		});
+		vault = new Vault();
+	});
+
+	afterEach(() => {
+		Object.assign(globalThis, { chrome: mockChrome });
+	});
+
+	it('passes values through untouched while encryption is off', async () => {
+		const value = { customer: 'Jane Doe' };
+		expect(await vault.protect(value)).toBe(value);
+		expect(await vault.reveal(value)).toBe(value);
+	});
+
+	it('encrypts with the passphrase and refuses access while locked', async () => {
+		await vault.enable('correct horse battery');
+		const sealed = await vault.protect({ customer: 'Jane Doe' });
+		expect(isSealed(sealed)).toBe(true);
+		expect(JSON.stringify(sealed)).not.toContain('Jane');
+
+		await vault.lock();
+		expect(await vault.isLocked()).toBe(true);
+		await expect(vault.reveal(sealed)).rejects.toBeInstanceOf(VaultLockedError);
+		await expect(vault.unlock('wrong passphrase')).rejects.toThrow('Incorrect passphrase');
+
+		await vault.unlock('correct horse battery');
+		expect(await vault.reveal(sealed)).toEqual({ customer: 'Jane Doe' });
+	});
+
+	it('re-encrypts registered stores when the passphrase changes', async () => {
+		await vault.enable('first passphrase');
+		local.items.stored = await vault.protect(['row 1', 'row 2']);
+		vault.register('test store', async ({ open, seal }) => {
+			local.items.stored = await seal(await open(local.items.stored));
+		});
+
+		await vault.changePassphrase('first passphrase', 'second passphrase');
+		await vault.lock();
+		await expect(vault.unlock('first passphrase')).rejects.toThrow();
+		await vault.unlock('second passphrase');
+		expect(await vault.reveal(local.items.stored)).toEqual(['row 1', 'row 2']);
+
+		await vault.disable('second passphrase');
+		expect(local.items.stored).toEqual(['row 1', 'row 2']);
+		expect(await vault.isEnabled()).toBe(false);
+	});
+});
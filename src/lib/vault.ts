@@ -0,0 +1,404 @@
+// Opt-in encryption of stored transaction data: AES-GCM with a key derived from a
+// passphrase via PBKDF2. Stores pass values through protect()/reveal(); while
+// encryption is off both are no-ops.
+import { fromBase64, toBase64 } from './compression';
+
+export interface Sealed {
+	sealed: 1;
+	iv: string; // base64
+	data: string; // base64 ciphertext of the JSON value
+}
+
+export interface VaultConfig {
+	salt: string; // base64
+	iterations: number;
+	check: Sealed; // A known value sealed with the key, used to verify passphrases
+	autoLockMinutes: number;
+}
+
+// Converts stored values from the old protection to the new one when encryption is
+// enabled, disabled or re-keyed
+export interface Reprotector {
+	open(value: unknown): Promise<unknown>; // Old protection -> plain value
+	seal(value: unknown): Promise<unknown>; // Plain value -> new protection
+}
+
+export type ReprotectHandler = (reprotector: Reprotector) => Promise<void>;
+
+export class VaultLockedError extends Error {
+	constructor() {
+		super('Encrypted storage is locked');
+		this.name = 'VaultLockedError';
+	}
+}
+
+const CONFIG_KEY = 'vaultConfig';
+const SESSION_KEY = 'vaultSession';
+const CHECK_VALUE = 'paytracker-vault';
+const PBKDF2_ITERATIONS = 310000;
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+export function isSealed(value: unknown): value is Sealed {
+	return (
+		typeof value === 'object' &&
+		value !== null &&
+		(value as Sealed).sealed === 1 &&
+		typeof (value as Sealed).iv === 'string' &&
+		typeof (value as Sealed).data === 'string'
+	);
+}
+
+async function deriveKey(passphrase: string, salt: Uint8Array, iterations: number) {
+	const material = await crypto.subtle.importKey(
+		'raw',
+		new TextEncoder().encode(passphrase),
+		'PBKDF2',
+		false,
+		['deriveKey']
+	);
+	return crypto.subtle.deriveKey(
+		{ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+		material,
+		{ name: 'AES-GCM', length: 256 },
+		true, // Exportable so other extension windows can share the unlocked session
+		['encrypt', 'decrypt']
+	);
+}
+
+async function seal(value: unknown, key: CryptoKey): Promise<Sealed> {
+	const iv = crypto.getRandomValues(new Uint8Array(12));
+	const plaintext = new TextEncoder().encode(JSON.stringify(value));
+	const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+	return { sealed: 1, iv: toBase64(iv), data: toBase64(new Uint8Array(ciphertext)) };
+}
+
+async function open<T>(sealed: Sealed, key: CryptoKey): Promise<T> {
+	const plaintext = await crypto.subtle.decrypt(
+		{ name: 'AES-GCM', iv: fromBase64(sealed.iv) },
+		key,
+		fromBase64(sealed.data)
+	);
+	return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+export class Vault {
+	private key: CryptoKey | null = null;
+	private rawKey: string | null = null; // base64, as shared through the session
+	private keySalt: string | null = null; // Salt of the config the key belongs to
+	private expiresAt = 0;
+	private lockTimer: ReturnType<typeof setTimeout> | null = null;
+	private listeners = new Set<(locked: boolean) => void>();
+	private handlers = new Map<string, ReprotectHandler>();
+
+	constructor() {
+		// Follow lock/unlock and enable/disable from other extension windows
+		if (typeof chrome !== 'undefined' && chrome.storage?.onChanged) {
+			chrome.storage.onChanged.addListener((changes, area) => {
+				if (area === 'session' && SESSION_KEY in changes) {
+					const next = changes[SESSION_KEY].newValue;
+					if (!next) {
+						this.forgetKey();
+					} else if (next.key !== this.rawKey) {
+						// Re-keyed elsewhere: import the new key on next use
+						this.key = null;
+						this.rawKey = null;
+					} else if (this.key) {
+						// Activity in another window pushed back auto-lock
+						this.expiresAt = next.expiresAt;
+						this.scheduleLock();
+					}
+				}
+				if (area === 'local' && CONFIG_KEY in changes) {
+					if (changes[CONFIG_KEY].newValue?.salt !== this.keySalt) this.forgetKey();
+				}
+			});
+		}
+	}
+
+	/**
+	 * Read the vault configuration from storage
+	 */
+	private async getConfig(): Promise<VaultConfig | null> {
+		try {
+			if (typeof chrome !== 'undefined' && chrome.storage) {
+				const result = await chrome.storage.local.get(CONFIG_KEY);
+				return result[CONFIG_KEY] || null;
+			}
+			const data = localStorage.getItem(CONFIG_KEY);
+			return data ? JSON.parse(data) : null;
+		} catch (error) {
+			console.warn('Failed to read encryption settings:', error);
+			return null;
+		}
+	}
+
+	private async setConfig(config: VaultConfig | null): Promise<void> {
+		if (typeof chrome !== 'undefined' && chrome.storage) {
+			if (config) {
+				await chrome.storage.local.set({ [CONFIG_KEY]: config });
+			} else {
+				await chrome.storage.local.remove(CONFIG_KEY);
+			}
+		} else if (config) {
+			localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+		} else {
+			localStorage.removeItem(CONFIG_KEY);
+		}
+	}
+
+	/**
+	 * Session storage lives in memory only and is shared by the popup and the
+	 * detached window, so unlocking once covers both until the browser closes
+	 */
+	private get session(): chrome.storage.StorageArea | null {
+		return typeof chrome !== 'undefined' && chrome.storage?.session ? chrome.storage.session : null;
+	}
+
+	private async remember(key: CryptoKey, config: VaultConfig): Promise<void> {
+		this.key = key;
+		this.rawKey = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+		this.keySalt = config.salt;
+		this.expiresAt = Date.now() + config.autoLockMinutes * 60 * 1000;
+		this.scheduleLock();
+
+		await this.session?.set({
+			[SESSION_KEY]: { key: this.rawKey, salt: this.keySalt, expiresAt: this.expiresAt }
+		});
+	}
+
+	private scheduleLock(): void {
+		if (this.lockTimer) clearTimeout(this.lockTimer);
+		this.lockTimer = setTimeout(() => this.lock(), Math.max(0, this.expiresAt - Date.now()));
+	}
+
+	private forgetKey(): void {
+		const wasUnlocked = this.key !== null;
+		this.key = null;
+		this.rawKey = null;
+		this.keySalt = null;
+		this.expiresAt = 0;
+		if (this.lockTimer) clearTimeout(this.lockTimer);
+		this.lockTimer = null;
+		if (wasUnlocked) this.notify();
+	}
+
+	private notify(): void {
+		this.isLocked().then((locked) => this.listeners.forEach((listener) => listener(locked)));
+	}
+
+	/**
+	 * The unlocked key, restored from the shared session if another window unlocked
+	 */
+	private async getKey(): Promise<CryptoKey | null> {
+		if (this.key && Date.now() < this.expiresAt) return this.key;
+
+		const stored = (await this.session?.get(SESSION_KEY))?.[SESSION_KEY];
+		if (stored && Date.now() < stored.expiresAt) {
+			this.key = await crypto.subtle.importKey(
+				'raw',
+				fromBase64(stored.key),
+				{ name: 'AES-GCM' },
+				true,
+				['encrypt', 'decrypt']
+			);
+			this.rawKey = stored.key;
+			this.keySalt = stored.salt;
+			this.expiresAt = stored.expiresAt;
+			this.scheduleLock();
+			return this.key;
+		}
+
+		if (this.key || stored) await this.lock();
+		return null;
+	}
+
+	/**
+	 * Derive the key for a passphrase and check it against the stored config
+	 */
+	private async verify(config: VaultConfig, passphrase: string): Promise<CryptoKey> {
+		const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+		try {
+			if ((await open<string>(config.check, key)) === CHECK_VALUE) return key;
+		} catch {
+			// Wrong key: decryption fails authentication
+		}
+		throw new Error('Incorrect passphrase');
+	}
+
+	private async createConfig(
+		passphrase: string,
+		autoLockMinutes: number
+	): Promise<{ config: VaultConfig; key: CryptoKey }> {
+		const salt = crypto.getRandomValues(new Uint8Array(16));
+		const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+		const config: VaultConfig = {
+			salt: toBase64(salt),
+			iterations: PBKDF2_ITERATIONS,
+			check: await seal(CHECK_VALUE, key),
+			autoLockMinutes
+		};
+		return { config, key };
+	}
+
+	/**
+	 * Run every registered store's re-encryption. Values already converted by an
+	 * interrupted earlier run are accepted too, so a failed change can be retried.
+	 */
+	private async reprotectAll(oldKey: CryptoKey | null, newKey: CryptoKey | null): Promise<void> {
+		const reprotector: Reprotector = {
+			async open(value) {
+				if (!isSealed(value)) return value;
+				for (const key of [oldKey, newKey]) {
+					if (!key) continue;
+					try {
+						return await open(value, key);
+					} catch {
+						// Try the other key
+					}
+				}
+				throw new Error('Stored data could not be decrypted');
+			},
+			seal: async (value) => (newKey ? seal(value, newKey) : value)
+		};
+
+		for (const [name, handler] of this.handlers) {
+			try {
+				await handler(reprotector);
+			} catch (error) {
+				throw new Error(
+					`Re-encrypting ${name} failed: ${error instanceof Error ? error.message : error}`
+				);
+			}
+		}
+	}
+
+	/**
+	 * Register a store that holds protected values, so it's re-encrypted when
+	 * encryption is turned on or off or the passphrase changes
+	 */
+	register(name: string, handler: ReprotectHandler): void {
+		this.handlers.set(name, handler);
+	}
+
+	onLockChange(listener: (locked: boolean) => void): () => void {
+		this.listeners.add(listener);
+		return () => this.listeners.delete(listener);
+	}
+
+	async isEnabled(): Promise<boolean> {
+		return (await this.getConfig()) !== null;
+	}
+
+	async isLocked(): Promise<boolean> {
+		return (await this.isEnabled()) && (await this.getKey()) === null;
+	}
+
+	async getAutoLockMinutes(): Promise<number> {
+		return (await this.getConfig())?.autoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES;
+	}
+
+	async unlock(passphrase: string): Promise<void> {
+		const config = await this.getConfig();
+		if (!config) throw new Error('Encryption is not enabled');
+
+		await this.remember(await this.verify(config, passphrase), config);
+		this.notify();
+	}
+
+	async lock(): Promise<void> {
+		await this.session?.remove(SESSION_KEY);
+		this.forgetKey();
+	}
+
+	/**
+	 * Push back auto-lock after user activity
+	 */
+	async touch(): Promise<void> {
+		const config = await this.getConfig();
+		const key = config && (await this.getKey());
+		if (config && key) await this.remember(key, config);
+	}
+
+	async setAutoLockMinutes(minutes: number): Promise<void> {
+		const config = await this.getConfig();
+		if (!config) return;
+		const next = { ...config, autoLockMinutes: minutes };
+		await this.setConfig(next);
+		const key = await this.getKey();
+		if (key) await this.remember(key, next);
+	}
+
+	/**
+	 * Turn encryption on and encrypt everything already stored
+	 */
+	async enable(passphrase: string, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES): Promise<void> {
+		if (await this.isEnabled()) throw new Error('Encryption is already enabled');
+
+		const { config, key } = await this.createConfig(passphrase, autoLockMinutes);
+		await this.reprotectAll(null, key);
+		await this.setConfig(config);
+		await this.remember(key, config);
+		this.notify();
+	}
+
+	/**
+	 * Turn encryption off, decrypting everything back to plain storage
+	 */
+	async disable(passphrase: string): Promise<void> {
+		const config = await this.getConfig();
+		if (!config) return;
+
+		const key = await this.verify(config, passphrase);
+		await this.reprotectAll(key, null);
+		await this.setConfig(null);
+		await this.lock();
+	}
+
+	/**
+	 * Forget a lost passphrase without decrypting anything. Callers delete the
+	 * encrypted data themselves, since it can no longer be read.
+	 */
+	async reset(): Promise<void> {
+		await this.setConfig(null);
+		await this.lock();
+	}
+
+	/**
+	 * Re-encrypt all stored data under a new passphrase. The old configuration
+	 * stays in place until every store has been converted.
+	 */
+	async changePassphrase(current: string, next: string): Promise<void> {
+		const config = await this.getConfig();
+		if (!config) throw new Error('Encryption is not enabled');
+
+		const oldKey = await this.verify(config, current);
+		const { config: nextConfig, key } = await this.createConfig(next, config.autoLockMinutes);
+		await this.reprotectAll(oldKey, key);
+		await this.setConfig(nextConfig);
+		await this.remember(key, nextConfig);
+		this.notify();
+	}
+
+	/**
+	 * Encrypt a value for storage when encryption is on; returns it unchanged otherwise
+	 */
+	async protect<T>(value: T): Promise<T | Sealed> {
+		if (!(await this.isEnabled())) return value;
+		const key = await this.getKey();
+		if (!key) throw new VaultLockedError();
+		return seal(value, key);
+	}
+
+	/**
+	 * Decrypt a stored value; values that were never encrypted pass through
+	 */
+	async reveal<T>(value: unknown): Promise<T> {
+		if (!isSealed(value)) return value as T;
+		const key = await this.getKey();
+		if (!key) throw new VaultLockedError();
+		return open<T>(value, key);
+	}
+}
+
+// Create and export a default instance
+export const vault = new Vault();
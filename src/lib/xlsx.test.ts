@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_DATE_SETTINGS, toSerialDate } from './dates';
+import { BUILT_IN_EXPORT_PRESETS } from './exportColumns';
+import { withMoney } from './money';
+import type { Transaction } from './transactionScraper';
+import { buildTransactionWorkbook, currencyFormat } from './xlsx';
+import { crc32 } from './zip';
+
+// Read the stored entries of an archive written by createZip
+function unzip(bytes: Uint8Array): Map<string, string> {
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	const decoder = new TextDecoder();
+	const files = new Map<string, string>();
+	let offset = 0;
+	while (view.getUint32(offset, true) === 0x04034b50) {
+		const size = view.getUint32(offset + 18, true);
+		const nameLength = view.getUint16(offset + 26, true);
+		const start = offset + 30 + nameLength;
+		const name = decoder.decode(bytes.subarray(offset + 30, start));
+		files.set(name, decoder.decode(bytes.subarray(start, start + size)));
+		offset = start + size;
+	}
+	return files;
+}
+
+const utc = { ...DEFAULT_DATE_SETTINGS, timeZone: 'UTC' };
+
+const rows: Transaction[] = withMoney([
+	{
+		customer: 'Jane Doe',
+		date: '05/01/2024',
+		isoDate: '2024-05-01T12:00:00.000Z',
+		amount: '$1,234.50',
+		transactionId: '007'
+	},
+	{ customer: 'A & B', date: 'yesterday', isoDate: null, amount: '-$4.50', transactionId: 'X' }
+]);
+
+describe('buildTransactionWorkbook', () => {
+	it('writes typed cells, a totals row and an info sheet', () => {
+		const files = unzip(
+			buildTransactionWorkbook(rows, BUILT_IN_EXPORT_PRESETS[0].columns, {
+				dateSettings: utc,
+				metadata: [
+					['Source page', 'https://example.com/transactions'],
+					['Rows exported', 2]
+				]
+			})
+		);
+		expect([...files.keys()]).toContain('xl/worksheets/sheet2.xml');
+		expect(files.get('xl/workbook.xml')).toContain('name="Export Info"');
+
+		const sheet = files.get('xl/worksheets/sheet1.xml')!;
+		// IDs stay text so leading zeros survive
+		expect(sheet).toMatch(/<c r="D2"[^>]*t="inlineStr"><is><t xml:space="preserve">007<\/t>/);
+		expect(sheet).toMatch(/<c r="C2" s="\d+"><v>1234.5<\/v><\/c>/);
+		expect(sheet).toMatch(/<c r="B2" s="\d+"><v>45413.5<\/v><\/c>/);
+		expect(sheet).toContain('A &amp; B');
+		// Unparseable dates stay as extracted
+		expect(sheet).toContain('<t xml:space="preserve">yesterday</t>');
+		// Totals after a blank row
+		expect(sheet).toMatch(/<row r="5"><c r="A5"[^>]*><is><t xml:space="preserve">Total<\/t>/);
+		expect(sheet).toMatch(/<c r="C5" s="\d+"><v>1230<\/v><\/c>/);
+
+		const styles = files.get('xl/styles.xml')!;
+		expect(styles).toContain(`formatCode="${currencyFormat('USD').replace(/"/g, '&quot;')}"`);
+		expect(styles).toContain('formatCode="yyyy-mm-dd hh:mm"');
+
+		expect(files.get('xl/worksheets/sheet2.xml')).toContain('https://example.com/transactions');
+	});
+
+	it('converts timestamps to spreadsheet dates in the configured time zone', () => {
+		expect(toSerialDate('1970-01-01T00:00:00.000Z', utc)).toBe(25569);
+		expect(toSerialDate('2024-05-01T04:00:00.000Z', { ...utc, timeZone: 'America/New_York' })).toBe(
+			45413
+		);
+		expect(toSerialDate('not a date', utc)).toBeNull();
+	});
+
+	it('formats currencies with their symbol and decimals', () => {
+		expect(currencyFormat('USD')).toBe('"$"#,##0.00;-"$"#,##0.00');
+		expect(currencyFormat('JPY')).toBe('"¥"#,##0;-"¥"#,##0');
+		expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+	});
+});
@@ -0,0 +1,345 @@
+// Excel workbook export with typed cells (numbers, currency amounts, dates), built client-side
+import { DEFAULT_DATE_SETTINGS, toSerialDate, type DateSettings } from './dates';
+import { columnValue, type ExportColumn } from './exportColumns';
+import { currencyDecimals, parseMoney, signedMinorUnits, toDecimal } from './money';
+import type { Transaction } from './transactionScraper';
+import { createZip } from './zip';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+const MAX_COLUMN_WIDTH = 50;
+
+export interface XlsxCell {
+	value: string | number | null;
+	numFmt?: string; // Excel number format for numeric cells
+	bold?: boolean;
+}
+
+export interface XlsxSheet {
+	name: string;
+	rows: XlsxCell[][];
+	freezeHeader?: boolean;
+}
+
+export type MetadataValue = string | number | Date | null;
+
+export interface TransactionWorkbookOptions {
+	formatCustomer?: (name: string) => string;
+	dateSettings?: DateSettings;
+	metadata?: [string, MetadataValue][]; // Label/value pairs for the second sheet
+}
+
+// Control characters other than tab and line breaks aren't allowed in XML 1.0
+function isXmlChar(char: string): boolean {
+	const code = char.charCodeAt(0);
+	return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+}
+
+function escapeXml(text: string): string {
+	return Array.from(text)
+		.filter(isXmlChar)
+		.join('')
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+// 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index: number): string {
+	let name = '';
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+	}
+	return name;
+}
+
+/**
+ * Number format showing the currency symbol, e.g. "$"#,##0.00 or "¥"#,##0
+ */
+export function currencyFormat(currency: string): string {
+	let symbol = currency;
+	try {
+		symbol =
+			new Intl.NumberFormat('en-US', { style: 'currency', currency })
+				.formatToParts(0)
+				.find((part) => part.type === 'currency')?.value || currency;
+	} catch {
+		// Unknown currency code; show the code itself
+	}
+	const decimals = currencyDecimals(currency);
+	const number = decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0';
+	const quoted = `"${symbol.replace(/"/g, '')}"`;
+	return `${quoted}${number};-${quoted}${number}`;
+}
+
+// Cell styles are deduplicated into the workbook's cellXfs table; index 0 is the default
+class StyleTable {
+	private formats = new Map<string, number>(); // Custom number formats start at id 164
+	private styles = new Map<string, number>([['|', 0]]);
+	private entries: { numFmtId: number; bold: boolean }[] = [{ numFmtId: 0, bold: false }];
+
+	indexOf(cell: XlsxCell): number {
+		const key = `${cell.numFmt ?? ''}|${cell.bold ? 'b' : ''}`;
+		let index = this.styles.get(key);
+		if (index === undefined) {
+			let numFmtId = 0;
+			if (cell.numFmt) {
+				numFmtId = this.formats.get(cell.numFmt) ?? 164 + this.formats.size;
+				this.formats.set(cell.numFmt, numFmtId);
+			}
+			index = this.entries.length;
+			this.entries.push({ numFmtId, bold: cell.bold === true });
+			this.styles.set(key, index);
+		}
+		return index;
+	}
+
+	toXml(): string {
+		const numFmts = [...this.formats]
+			.map(([code, id]) => `<numFmt numFmtId="${id}" formatCode="${escapeXml(code)}"/>`)
+			.join('');
+		const xfs = this.entries
+			.map(
+				({ numFmtId, bold }) =>
+					`<xf numFmtId="${numFmtId}" fontId="${bold ? 1 : 0}" fillId="0" borderId="0" xfId="0"` +
+					`${numFmtId ? ' applyNumberFormat="1"' : ''}${bold ? ' applyFont="1"' : ''}/>`
+			)
+			.join('');
+		return (
+			'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+			'<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+			(this.formats.size ? `<numFmts count="${this.formats.size}">${numFmts}</numFmts>` : '') +
+			'<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+			'<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+			'<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+			'<fill><patternFill patternType="gray125"/></fill></fills>' +
+			'<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+			'<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+			`<cellXfs count="${this.entries.length}">${xfs}</cellXfs>` +
+			'</styleSheet>'
+		);
+	}
+}
+
+function cellXml(cell: XlsxCell, ref: string, styles: StyleTable): string {
+	const style = styles.indexOf(cell);
+	const s = style ? ` s="${style}"` : '';
+	if (cell.value === null || cell.value === '') return style ? `<c r="${ref}"${s}/>` : '';
+	if (typeof cell.value === 'number') {
+		return Number.isFinite(cell.value) ? `<c r="${ref}"${s}><v>${cell.value}</v></c>` : '';
+	}
+	// Inline strings keep text such as IDs with leading zeros exactly as extracted
+	return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`;
+}
+
+function sheetXml(sheet: XlsxSheet, styles: StyleTable): string {
+	const widths: number[] = [];
+	const rows = sheet.rows
+		.map((row, r) => {
+			const cells = row
+				.map((cell, c) => {
+					const length = typeof cell.value === 'number' ? 12 : String(cell.value ?? '').length + 2;
+					widths[c] = Math.min(Math.max(widths[c] ?? 8, length), MAX_COLUMN_WIDTH);
+					return cellXml(cell, `${columnName(c)}${r + 1}`, styles);
+				})
+				.join('');
+			return `<row r="${r + 1}">${cells}</row>`;
+		})
+		.join('');
+
+	const cols = widths
+		.map((width, c) => `<col min="${c + 1}" max="${c + 1}" width="${width}" customWidth="1"/>`)
+		.join('');
+	const pane = sheet.freezeHeader
+		? '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>'
+		: '';
+
+	return (
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		'<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+		`<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>` +
+		(cols ? `<cols>${cols}</cols>` : '') +
+		`<sheetData>${rows}</sheetData>` +
+		'</worksheet>'
+	);
+}
+
+/**
+ * Build an .xlsx file from sheets of typed cells
+ */
+export function buildWorkbook(sheets: XlsxSheet[], modified: Date = new Date()): Uint8Array {
+	const styles = new StyleTable();
+	const worksheets = sheets.map((sheet) => sheetXml(sheet, styles));
+	// Sheet names are limited to 31 characters and can't contain []:*?/\
+	const names = sheets.map((sheet) => sheet.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+	const relationships = (items: string) =>
+		'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+		`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${items}</Relationships>`;
+	const officeRel = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+	return createZip(
+		[
+			{
+				name: '[Content_Types].xml',
+				data:
+					'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+					'<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+					'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+					'<Default Extension="xml" ContentType="application/xml"/>' +
+					'<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+					'<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+					worksheets
+						.map(
+							(_, i) =>
+								`<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+						)
+						.join('') +
+					'</Types>'
+			},
+			{
+				name: '_rels/.rels',
+				data: relationships(
+					`<Relationship Id="rId1" Type="${officeRel}/officeDocument" Target="xl/workbook.xml"/>`
+				)
+			},
+			{
+				name: 'xl/workbook.xml',
+				data:
+					'<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+					`<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${officeRel}">` +
+					'<sheets>' +
+					names
+						.map(
+							(name, i) =>
+								`<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`
+						)
+						.join('') +
+					'</sheets></workbook>'
+			},
+			{
+				name: 'xl/_rels/workbook.xml.rels',
+				data: relationships(
+					worksheets
+						.map(
+							(_, i) =>
+								`<Relationship Id="rId${i + 1}" Type="${officeRel}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+						)
+						.join('') +
+						`<Relationship Id="rId${worksheets.length + 1}" Type="${officeRel}/styles" Target="styles.xml"/>`
+				)
+			},
+			{ name: 'xl/styles.xml', data: styles.toXml() },
+			...worksheets.map((data, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data }))
+		],
+		modified
+	);
+}
+
+/**
+ * A transaction cell typed by its column: parsed amounts become numbers with currency
+ * formatting and parsed dates become date cells. Everything else stays text.
+ */
+function transactionCell(
+	tx: Transaction,
+	column: ExportColumn,
+	options: TransactionWorkbookOptions
+): XlsxCell {
+	const money = tx.money === undefined ? parseMoney(tx.amount) : tx.money;
+	if (column.field === 'amount' && money) {
+		return { value: toDecimal(money), numFmt: currencyFormat(money.currency) };
+	}
+	if (column.field === 'amountValue') {
+		const decimals = money ? currencyDecimals(money.currency) : 2;
+		return {
+			value: money ? toDecimal(money) : null,
+			numFmt: decimals > 0 ? `0.${'0'.repeat(decimals)}` : '0'
+		};
+	}
+	if ((column.field === 'date' || column.field === 'isoDate') && tx.isoDate) {
+		const serial = toSerialDate(tx.isoDate, options.dateSettings ?? DEFAULT_DATE_SETTINGS);
+		if (serial !== null) return { value: serial, numFmt: DATE_FORMAT };
+	}
+	return { value: columnValue(tx, column.field, options.formatCustomer) };
+}
+
+// One totals row per currency, summing the amount columns
+function totalRows(transactions: Transaction[], columns: ExportColumn[]): XlsxCell[][] {
+	const totals = new Map<string, number>();
+	for (const tx of transactions) {
+		const money = tx.money === undefined ? parseMoney(tx.amount) : tx.money;
+		if (money)
+			totals.set(money.currency, (totals.get(money.currency) ?? 0) + signedMinorUnits(money));
+	}
+
+	const labelColumn = columns.findIndex(
+		(column) => column.field !== 'amount' && column.field !== 'amountValue'
+	);
+	return [...totals].map(([currency, minorUnits]) => {
+		const value = minorUnits / 10 ** currencyDecimals(currency);
+		return columns.map((column, c): XlsxCell => {
+			if (column.field === 'amount') {
+				return { value, numFmt: currencyFormat(currency), bold: true };
+			}
+			if (column.field === 'amountValue') {
+				const decimals = currencyDecimals(currency);
+				return { value, numFmt: decimals > 0 ? `0.${'0'.repeat(decimals)}` : '0', bold: true };
+			}
+			if (column.field === 'currency') return { value: currency, bold: true };
+			if (c === labelColumn) {
+				return { value: totals.size > 1 ? `Total ${currency}` : 'Total', bold: true };
+			}
+			return { value: null };
+		});
+	});
+}
+
+/**
+ * Workbook with a Transactions sheet (typed cells, a totals row per currency) and an
+ * Export Info sheet holding the metadata pairs
+ */
+export function buildTransactionWorkbook(
+	transactions: Transaction[],
+	columns: ExportColumn[],
+	options: TransactionWorkbookOptions = {}
+): Uint8Array {
+	const header = columns.map((column): XlsxCell => ({ value: column.header, bold: true }));
+	const rows = transactions.map((tx) =>
+		columns.map((column) => transactionCell(tx, column, options))
+	);
+	const hasAmounts = columns.some(
+		(column) => column.field === 'amount' || column.field === 'amountValue'
+	);
+	const totals = hasAmounts ? totalRows(transactions, columns) : [];
+
+	const metadata = (options.metadata ?? []).map(([label, value]): XlsxCell[] => {
+		if (value instanceof Date) {
+			const serial = toSerialDate(value.toISOString(), options.dateSettings);
+			return [
+				{ value: label, bold: true },
+				{ value: serial, numFmt: DATE_FORMAT }
+			];
+		}
+		return [{ value: label, bold: true }, { value }];
+	});
+
+	return buildWorkbook([
+		{
+			name: 'Transactions',
+			rows: [header, ...rows, ...(totals.length ? [[], ...totals] : [])],
+			freezeHeader: true
+		},
+		{
+			name: 'Export Info',
+			rows: [
+				[
+					{ value: 'Field', bold: true },
+					{ value: 'Value', bold: true }
+				],
+				...metadata
+			]
+		}
+	]);
+}
@@ -0,0 +1,41 @@
+// In-memory stand-in for a chrome.storage area, shared by tests that need real reads and writes
+
+export function memoryStorage(initial: Record<string, unknown> = {}) {
+	const items: Record<string, unknown> = structuredClone(initial);
+	const keysOf = (keys: string | string[] | null) =>
+		keys === null ? Object.keys(items) : typeof keys === 'string' ? [keys] : keys;
+
+	const storage = {
+		async get(keys: string | string[] | null = null) {
+			return Object.fromEntries(
+				keysOf(keys)
+					.filter((key) => key in items)
+					.map((key) => [key, structuredClone(items[key])])
+			);
+		},
+		async set(values: Record<string, unknown>) {
+			Object.assign(items, structuredClone(values));
+		},
+		async remove(keys: string | string[]) {
+			for (const key of keysOf(keys)) delete items[key];
+		},
+		async clear() {
+			for (const key of Object.keys(items)) delete items[key];
+		},
+		// Like Chrome, counts each key plus its value serialized as JSON
+		async getBytesInUse(keys: string | string[] | null = null) {
+			return keysOf(keys)
+				.filter((key) => key in items)
+				.reduce((total, key) => total + key.length + JSON.stringify(items[key]).length, 0);
+		}
+	};
+	return { items, storage: storage as unknown as chrome.storage.StorageArea };
+}
+
+// Put a memory storage in place of chrome.storage.local until restore() is called
+export function replaceLocalStorage(initial: Record<string, unknown> = {}) {
+	const { items, storage } = memoryStorage(initial);
+	const original = chrome.storage.local;
+	Object.assign(chrome.storage as object, { local: storage });
+	return { items, restore: () => Object.assign(chrome.storage as object, { local: original }) };
+}
@@ -0,0 +1,15 @@
+import { defineConfig } from 'vite';
+
+// Builds the extension service worker into the SvelteKit output, so run it after `vite build`
+export default defineConfig({
+	build: {
+		outDir: 'build',
+		emptyOutDir: false,
+		copyPublicDir: false,
+		lib: {
+			entry: 'src/background.ts',
+			formats: ['es'],
+			fileName: () => 'background.js'
+		}
+	}
+});